@@ -1,647 +1,4572 @@
 #!/usr/bin/env node
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+  McpServer,
+  ResourceTemplate,
+} from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import {
+  ErrorCode,
+  McpError,
+  isInitializeRequest,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
 import fs from "fs";
 import path from "path";
 import os from "os";
-import { spawn } from "child_process";
+import { spawn, execFile } from "child_process";
+import { promisify } from "util";
+import crypto from "crypto";
+import http from "http";
+import { AsyncLocalStorage } from "async_hooks";
+
+const execFileAsync = promisify(execFile);
 
 // Configuration
 const STORE_DIR = path.join(os.homedir(), ".openmate");
 const STORE_FILE = path.join(STORE_DIR, "repos.json");
+const BACKUP_DIR = path.join(STORE_DIR, "backups");
+const MAX_BACKUPS = 10;
+const STORE_VERSION = 3;
+const LOCK_FILE = `${STORE_FILE}.lock`;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const MAX_UPDATE_ATTEMPTS = 5;
+const JOURNAL_FILE = path.join(STORE_DIR, "journal.jsonl");
+const USAGE_FILE = path.join(STORE_DIR, "usage.json");
+
+const EDITORS_FILE = path.join(STORE_DIR, "editors.json");
+const WORKSPACES_DIR = path.join(STORE_DIR, "workspaces");
+const OPEN_MODES = ["workspace", "windows"];
+
+// OPENMATE_DRY_RUN=1 makes every open a dry run, whatever the tool call says
+const DRY_RUN = ["1", "true", "yes"].includes(
+  (process.env.OPENMATE_DRY_RUN || "").toLowerCase()
+);
 
-// IDE Configuration
-const IDE_CONFIG = {
-  ag: "Antigravity",
-  cs: "Cursor",
-  vs: "VS Code",
-  ws: "Windsurf",
-  ij: "IntelliJ IDEA",
-  pc: "PyCharm",
+// HTTP mode (--http). The bearer token is generated on first start.
+const HTTP_TOKEN_FILE = path.join(STORE_DIR, "http-token");
+const DEFAULT_HTTP_HOST = "127.0.0.1";
+const DEFAULT_HTTP_PORT = 7777;
+const HTTP_PATH = "/mcp";
+const MAX_HTTP_BODY_BYTES = 4 * 1024 * 1024;
+
+// Built-in IDEs. Launch candidates are tried in order for the current
+// platform (falling back to "default"); "{path}" is replaced by the repo path.
+// "paths" lists install locations to probe when the command is not on PATH.
+// "workspace" marks editors that open multi-root .code-workspace files.
+// "goto" lists the arguments appended to open {file} at {line} and {column}.
+const BUILTIN_EDITORS = {
+  ag: {
+    name: "Antigravity",
+    workspace: true,
+    goto: ["-g", "{file}:{line}:{column}"],
+    launch: {
+      darwin: [{ cmd: "open", args: ["-a", "Antigravity", "{path}"] }],
+      default: [{ cmd: "antigravity", args: ["{path}"] }],
+    },
+  },
+  cs: {
+    name: "Cursor",
+    workspace: true,
+    goto: ["-g", "{file}:{line}:{column}"],
+    launch: {
+      darwin: [{ cmd: "open", args: ["-a", "Cursor", "{path}"] }],
+      default: [{ cmd: "cursor", args: ["{path}"] }],
+    },
+  },
+  vs: {
+    name: "VS Code",
+    workspace: true,
+    goto: ["-g", "{file}:{line}:{column}"],
+    launch: {
+      darwin: [{ cmd: "open", args: ["-a", "Visual Studio Code", "{path}"] }],
+      default: [
+        { cmd: "code", args: ["{path}"] },
+        { cmd: "code-insiders", args: ["{path}"] },
+      ],
+    },
+  },
+  ws: {
+    name: "Windsurf",
+    workspace: true,
+    goto: ["-g", "{file}:{line}:{column}"],
+    launch: {
+      darwin: [{ cmd: "open", args: ["-a", "Windsurf", "{path}"] }],
+      default: [{ cmd: "windsurf", args: ["{path}"] }],
+    },
+  },
+  ij: {
+    name: "IntelliJ IDEA",
+    goto: ["--line", "{line}", "--column", "{column}", "{file}"],
+    launch: {
+      win32: [
+        {
+          cmd: "idea64.exe",
+          args: ["{path}"],
+          paths: [
+            "{env.LOCALAPPDATA}/JetBrains/Toolbox/scripts/idea.cmd",
+            "{env.LOCALAPPDATA}/Programs/IntelliJ*/bin/idea64.exe",
+            "{env.PROGRAMFILES}/JetBrains/IntelliJ*/bin/idea64.exe",
+          ],
+        },
+        { cmd: "idea", args: ["{path}"] },
+        { cmd: "intellij", args: ["{path}"] },
+      ],
+      darwin: [
+        { cmd: "open", args: ["-a", "IntelliJ IDEA", "{path}"] },
+        { cmd: "open", args: ["-a", "IntelliJ IDEA CE", "{path}"] },
+        { cmd: "open", args: ["-a", "IntelliJ IDEA Ultimate", "{path}"] },
+        {
+          cmd: "idea",
+          args: ["{path}"],
+          paths: [
+            "{home}/Library/Application Support/JetBrains/Toolbox/scripts/idea",
+          ],
+        },
+        { cmd: "intellij", args: ["{path}"] },
+      ],
+      default: [
+        {
+          cmd: "idea",
+          args: ["{path}"],
+          paths: [
+            "{home}/.local/share/JetBrains/Toolbox/scripts/idea",
+            "/opt/idea*/bin/idea.sh",
+            "/opt/intellij*/bin/idea.sh",
+            "/snap/bin/intellij-idea-*",
+          ],
+        },
+        { cmd: "intellij", args: ["{path}"] },
+      ],
+    },
+  },
+  pc: {
+    name: "PyCharm",
+    goto: ["--line", "{line}", "--column", "{column}", "{file}"],
+    launch: {
+      win32: [
+        {
+          cmd: "pycharm64.exe",
+          args: ["{path}"],
+          paths: [
+            "{env.LOCALAPPDATA}/JetBrains/Toolbox/scripts/pycharm.cmd",
+            "{env.LOCALAPPDATA}/Programs/PyCharm*/bin/pycharm64.exe",
+            "{env.PROGRAMFILES}/JetBrains/PyCharm*/bin/pycharm64.exe",
+          ],
+        },
+        { cmd: "pycharm", args: ["{path}"] },
+        { cmd: "pycharm-professional", args: ["{path}"] },
+        { cmd: "pycharm-community", args: ["{path}"] },
+      ],
+      darwin: [
+        { cmd: "open", args: ["-a", "PyCharm", "{path}"] },
+        { cmd: "open", args: ["-a", "PyCharm CE", "{path}"] },
+        { cmd: "open", args: ["-a", "PyCharm Professional", "{path}"] },
+        {
+          cmd: "pycharm",
+          args: ["{path}"],
+          paths: [
+            "{home}/Library/Application Support/JetBrains/Toolbox/scripts/pycharm",
+          ],
+        },
+      ],
+      default: [
+        {
+          cmd: "pycharm",
+          args: ["{path}"],
+          paths: [
+            "{home}/.local/share/JetBrains/Toolbox/scripts/pycharm",
+            "/opt/pycharm*/bin/pycharm.sh",
+            "/snap/bin/pycharm-*",
+          ],
+        },
+        { cmd: "pycharm-professional", args: ["{path}"] },
+        { cmd: "pycharm-community", args: ["{path}"] },
+      ],
+    },
+  },
 };
 
-const IDE_ENUMS = Object.keys(IDE_CONFIG);
+const LAUNCH_PLATFORMS = ["darwin", "win32", "linux", "default"];
 
 // Helper functions
-function ensureStore() {
-  if (!fs.existsSync(STORE_DIR)) fs.mkdirSync(STORE_DIR, { recursive: true });
-  if (!fs.existsSync(STORE_FILE)) {
-    fs.writeFileSync(
-      STORE_FILE,
-      JSON.stringify({ version: 2, repos: {}, collections: {} }, null, 2),
-      { mode: 0o600 }
-    );
-  }
+function emptyStore() {
+  return { version: STORE_VERSION, repos: {}, collections: {} };
 }
 
-function loadStore() {
-  ensureStore();
+// Write to a temporary file in the same directory, flush it, then rename it
+// over the target so readers never see a partially written file
+function writeFileAtomic(file, contents, mode = 0o600) {
+  const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  const fd = fs.openSync(tmpFile, "w", mode);
   try {
-    const data = JSON.parse(fs.readFileSync(STORE_FILE, "utf8"));
-    if (!data.repos) data.repos = {};
-    if (!data.collections) data.collections = {};
-    return data;
+    fs.writeFileSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmpFile, file);
   } catch (e) {
-    console.error("Error reading store. Recreating...");
-    const defaultStore = { version: 2, repos: {}, collections: {} };
-    fs.writeFileSync(STORE_FILE, JSON.stringify(defaultStore, null, 2), {
-      mode: 0o600,
-    });
-    return defaultStore;
+    fs.rmSync(tmpFile, { force: true });
+    throw e;
   }
+  fs.chmodSync(file, mode);
 }
 
-function saveStore(store) {
-  fs.writeFileSync(STORE_FILE, JSON.stringify(store, null, 2));
+// Only the directory is created here: a missing store reads as empty, and
+// the file is written by the first update
+function ensureStore() {
+  if (!fs.existsSync(STORE_DIR)) fs.mkdirSync(STORE_DIR, { recursive: true });
 }
 
-function normalizeName(name) {
-  if (!name || typeof name !== "string") return "";
-  return name.trim().toLowerCase();
+// Backups are named repos-<timestamp>.json so they sort oldest to newest
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs
+    .readdirSync(BACKUP_DIR)
+    .filter((file) => /^repos-.*\.json$/.test(file))
+    .sort()
+    .map((file) => path.join(BACKUP_DIR, file));
 }
 
-// IDE opening functions
-function openVS(repoPath) {
-  if (process.platform === "darwin") {
-    spawn("open", ["-a", "Visual Studio Code", repoPath], {
-      stdio: "ignore",
-      detached: true,
-    });
-  } else {
-    attemptLaunch(
-      [
-        { cmd: "code", args: [repoPath] },
-        { cmd: "code-insiders", args: [repoPath] },
-      ],
-      {
-        onFail: () => {
-          console.error(
-            "❌ Could not find VS Code CLI ('code'). Install it via VS Code settings."
-          );
-          process.exit(1);
-        },
-      }
-    );
-  }
+let lastBackupAt = 0;
+
+// Copy the current store into the backups directory, unless the newest backup
+// already has the same contents, and drop the oldest beyond MAX_BACKUPS
+function backupStore() {
+  if (!fs.existsSync(STORE_FILE)) return;
+  const contents = fs.readFileSync(STORE_FILE);
+  const newest = listBackups().pop();
+  if (newest && fs.readFileSync(newest).equals(contents)) return;
+
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  // Keep timestamps strictly increasing so backups taken within the same
+  // millisecond still sort in the order they were written
+  lastBackupAt = Math.max(Date.now(), lastBackupAt + 1);
+  const stamp = new Date(lastBackupAt).toISOString().replace(/[:.]/g, "-");
+  writeFileAtomic(path.join(BACKUP_DIR, `repos-${stamp}.json`), contents);
+
+  const backups = listBackups();
+  backups
+    .slice(0, Math.max(0, backups.length - MAX_BACKUPS))
+    .forEach((file) => fs.rmSync(file, { force: true }));
 }
 
-function openWS(repoPath) {
-  if (process.platform === "darwin") {
-    spawn("open", ["-a", "Windsurf", repoPath], {
-      stdio: "ignore",
-      detached: true,
-    });
-  } else {
-    attemptLaunch([{ cmd: "windsurf", args: [repoPath] }], {
-      onFail: () => {
-        console.error("❌ Could not find Windsurf CLI ('windsurf').");
-        process.exit(1);
-      },
+/**
+ * Store migrations, keyed by the version they upgrade from. Version 2 is the
+ * shape the OpenMate CLI and UI write, where repo entries may still be plain
+ * path strings and collections plain arrays; version 3 always uses objects.
+ */
+const STORE_MIGRATIONS = {
+  1: (data) => ({ ...data, version: 2 }),
+  2: (data) => {
+    const repos = {};
+    for (const [key, repoData] of Object.entries(data.repos || {})) {
+      repos[key] =
+        typeof repoData === "string"
+          ? { path: repoData, addedAt: null }
+          : { ...repoData };
+    }
+    const collections = {};
+    for (const [key, collection] of Object.entries(data.collections || {})) {
+      collections[key] = Array.isArray(collection)
+        ? { name: key, repos: collection }
+        : { ...collection, repos: collection.repos || [] };
+    }
+    return { ...data, version: 3, repos, collections };
+  },
+};
+
+// Parts of a store file still in an older shape. readStore migrates them in
+// memory only, so they stay in the file until the next write.
+function legacyShapes(data) {
+  const found = [];
+  const version = data.version || 1;
+  if (version < STORE_VERSION) {
+    found.push({
+      target: "store",
+      message: `Store file is version ${version} (current is ${STORE_VERSION})`,
     });
   }
-}
-
-function openCS(repoPath) {
-  if (process.platform === "darwin") {
-    spawn("open", ["-a", "Cursor", repoPath], {
-      stdio: "ignore",
-      detached: true,
+  for (const [key, repoData] of Object.entries(data.repos || {})) {
+    if (typeof repoData !== "string") continue;
+    found.push({
+      target: key,
+      message: `Repository '${key}' is stored as a plain path`,
     });
-  } else {
-    attemptLaunch([{ cmd: "cursor", args: [repoPath] }], {
-      onFail: () => console.error("❌ Cursor CLI not found."),
+  }
+  for (const [key, collection] of Object.entries(data.collections || {})) {
+    if (!Array.isArray(collection)) continue;
+    found.push({
+      target: key,
+      message: `Collection '${key}' is stored as a plain list`,
     });
   }
+  return found;
 }
 
-function openIJ(repoPath) {
-  const isWindows = process.platform === "win32";
-  const intellijPaths = [];
-
-  if (isWindows) {
-    intellijPaths.push({
-      cmd: "idea64.exe",
-      args: [repoPath],
-      paths: [
-        path.join(
-          process.env.LOCALAPPDATA,
-          "JetBrains",
-          "IntelliJ*",
-          "bin",
-          "idea64.exe"
-        ),
-        path.join(
-          process.env.PROGRAMFILES,
-          "JetBrains",
-          "IntelliJ*",
-          "bin",
-          "idea64.exe"
-        ),
-      ],
-    });
-  } else {
-    // macOS paths
-    intellijPaths.push(
-      { cmd: "open", args: ["-a", "IntelliJ IDEA", repoPath] },
-      { cmd: "open", args: ["-a", "IntelliJ IDEA CE", repoPath] },
-      { cmd: "open", args: ["-a", "IntelliJ IDEA Ultimate", repoPath] },
-      { cmd: "idea", args: [repoPath] }
-    );
+function migrateStore(data) {
+  let migrated = { ...data, version: data.version || 1 };
+  while (migrated.version < STORE_VERSION) {
+    const migrate = STORE_MIGRATIONS[migrated.version];
+    if (!migrate) {
+      throw new Error(`No migration from store version ${migrated.version}`);
+    }
+    migrated = migrate(migrated);
   }
-
-  // Common paths
-  intellijPaths.push(
-    { cmd: "idea", args: [repoPath] },
-    { cmd: "intellij", args: [repoPath] }
-  );
-
-  attemptLaunch(intellijPaths, {
-    onFail: () =>
-      console.error(
-        "❌ IntelliJ IDEA not found. Make sure it's installed and in your PATH."
-      ),
-  });
+  if (!migrated.repos) migrated.repos = {};
+  if (!migrated.collections) migrated.collections = {};
+  return migrated;
 }
 
-function openPC(repoPath) {
-  const isWindows = process.platform === "win32";
-  const pycharmPaths = [];
-
-  if (isWindows) {
-    pycharmPaths.push({
-      cmd: "pycharm64.exe",
-      args: [repoPath],
-      paths: [
-        path.join(
-          process.env.LOCALAPPDATA,
-          "Programs",
-          "PyCharm*",
-          "bin",
-          "pycharm64.exe"
-        ),
-        path.join(
-          process.env.PROGRAMFILES,
-          "JetBrains",
-          "PyCharm*",
-          "bin",
-          "pycharm64.exe"
-        ),
-      ],
-    });
-  } else {
-    // macOS paths
-    pycharmPaths.push(
-      { cmd: "open", args: ["-a", "PyCharm", repoPath] },
-      { cmd: "open", args: ["-a", "PyCharm CE", repoPath] },
-      { cmd: "open", args: ["-a", "PyCharm Professional", repoPath] },
-      { cmd: "pycharm", args: [repoPath] }
-    );
+function parseStore(contents) {
+  const data = JSON.parse(contents);
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Store is not a JSON object");
   }
-
-  // Common paths
-  pycharmPaths.push(
-    { cmd: "pycharm", args: [repoPath] },
-    { cmd: "pycharm-professional", args: [repoPath] },
-    { cmd: "pycharm-community", args: [repoPath] }
-  );
-
-  attemptLaunch(pycharmPaths, {
-    onFail: () =>
-      console.error(
-        "❌ PyCharm not found. Make sure it's installed and in your PATH."
-      ),
-  });
+  return data;
 }
 
-function openAG(repoPath) {
-  if (process.platform === "darwin") {
-    spawn("open", ["-a", "Antigravity", repoPath], {
-      stdio: "ignore",
-      detached: true,
-    });
-  } else {
-    attemptLaunch([{ cmd: "antigravity", args: [repoPath] }], {
-      onFail: () => console.error("❌ Antigravity CLI not found."),
-    });
+// The newest backup that still parses, or null
+function newestBackup() {
+  for (const backup of listBackups().reverse()) {
+    try {
+      return {
+        file: backup,
+        data: parseStore(fs.readFileSync(backup, "utf8")),
+      };
+    } catch (e) {
+      // Try the next older backup
+    }
   }
+  return null;
 }
 
-function attemptLaunch(candidates) {
-  const tryOne = (i) => {
-    if (i >= candidates.length) return;
-    const { cmd, args } = candidates[i];
+let reportedCorruptHash = null;
 
-    const child = spawn(cmd, args, {
-      stdio: "ignore",
-      detached: true,
-      shell: true,
-    });
-    child.on("error", () => tryOne(i + 1));
-    child.unref?.();
-  };
+// Keep the corrupt file for inspection. Runs under the store lock, just before
+// an update saves the store it rebuilt from the newest usable backup.
+function moveCorruptStore() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const corruptFile = `${STORE_FILE}.corrupt-${stamp}`;
+  fs.renameSync(STORE_FILE, corruptFile);
+  console.error(`Moved the corrupt store to ${corruptFile}`);
+}
 
-  tryOne(0);
+function hashContents(contents) {
+  return crypto.createHash("sha256").update(contents).digest("hex");
 }
 
-// Read package.json using ES modules
-const pkg = JSON.parse(
-  await fs.promises.readFile(new URL("../package.json", import.meta.url))
-);
+function storeHash() {
+  try {
+    return hashContents(fs.readFileSync(STORE_FILE));
+  } catch (e) {
+    return null;
+  }
+}
 
-// Create server instance
-const server = new McpServer({
-  name: "openmate-mcp",
-  version: pkg.version,
-});
+/**
+ * Load the store along with a hash of the file it was read from. Reads never
+ * write the store, which the OpenMate CLI and UI share: older versions are
+ * migrated in memory and saved by the next update, and a corrupt file is read
+ * from the newest usable backup until an update moves it aside.
+ */
+function readStore() {
+  let contents;
+  try {
+    contents = fs.readFileSync(STORE_FILE);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+    return { store: emptyStore(), hash: null, corrupt: false, legacy: [] };
+  }
 
-server.tool(
-  "show-version",
-  "Show the version of openmate-mcp or om-mcp",
-  async () => {
+  const hash = hashContents(contents);
+  try {
+    const data = parseStore(contents.toString("utf8"));
+    return {
+      store: migrateStore(data),
+      hash,
+      corrupt: false,
+      legacy: legacyShapes(data),
+    };
+  } catch (error) {
+    const backup = newestBackup();
+    if (reportedCorruptHash !== hash) {
+      reportedCorruptHash = hash;
+      console.error(
+        `Error reading store (${error.message}). ${
+          backup
+            ? `Using backup ${backup.file}`
+            : "No usable backup found, using an empty store"
+        } until the next change replaces it.`
+      );
+    }
+    const data = backup ? backup.data : emptyStore();
     return {
-      content: [{ type: "text", text: `OpenMate MCP version: ${pkg.version}` }],
+      store: migrateStore(data),
+      hash,
+      corrupt: true,
+      legacy: legacyShapes(data),
     };
   }
-);
+}
 
-// Show default IDE
-server.tool(
-  "show-default-ide",
-  "Show the default IDE for a repository or the global default",
-  {
-    name: z
-      .string()
-      .optional()
-      .describe("The name of the repository to check (optional)"),
-  },
-  async ({ name }) => {
-    try {
-      const store = loadStore();
-      const globalDefault = store.ide_default || "ag";
+function loadStore() {
+  return readStore().store;
+}
 
-      if (!name) {
-        return {
-          content: [
-            { type: "text", text: `Global default IDE: ${globalDefault}` },
-          ],
-        };
-      }
+function saveStore(store) {
+  ensureStore();
+  backupStore();
+  writeFileAtomic(
+    STORE_FILE,
+    JSON.stringify({ ...store, version: STORE_VERSION }, null, 2)
+  );
+  backupStore();
+}
 
-      const normalized = normalizeName(name);
-      const repoData = store.repos[normalized];
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-      if (!repoData) {
-        return {
-          content: [
-            { type: "text", text: `❌ Repository '${name}' not found` },
-          ],
-        };
-      }
+// A lock is stale when its owner has exited or it has outlived LOCK_STALE_MS
+function isStaleLock(file = LOCK_FILE) {
+  let stats;
+  let owner;
+  try {
+    stats = fs.statSync(file);
+  } catch (e) {
+    return false;
+  }
+  if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) return true;
 
-      const repoIde = typeof repoData === "string" ? null : repoData.ide;
-      const effectiveIde = repoIde || globalDefault;
+  try {
+    owner = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    // The owner may still be writing its pid
+    return false;
+  }
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (e) {
+    // EPERM means the owner is alive but runs as another user
+    return e.code === "ESRCH";
+  }
+}
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Default IDE for '${name}': ${effectiveIde}${
-              repoIde ? " (Repo set)" : " (Global default)"
-            }`,
-          },
-        ],
-      };
-    } catch (error) {
-      return {
-        content: [{ type: "text", text: `❌ Error: ${error.message}` }],
-      };
+function lockToken(file = LOCK_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8")).token;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Take over a lock that looked stale. It is first renamed to a name only this
+ * waiter uses, so two waiters cannot both remove it, and checked again: if
+ * another waiter already replaced it with a live lock, that lock is put back.
+ */
+function breakStaleLock(token) {
+  const claimed = `${LOCK_FILE}.${token}.stale`;
+  try {
+    fs.renameSync(LOCK_FILE, claimed);
+  } catch (e) {
+    if (e.code === "ENOENT") return;
+    throw e;
+  }
+  if (!isStaleLock(claimed)) {
+    try {
+      fs.linkSync(claimed, LOCK_FILE);
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
     }
   }
-);
+  fs.rmSync(claimed, { force: true });
+}
 
-// List repositories and collections
-server.tool(
-  "list-repos",
-  "List all repositories and collections from openmate using openmate-mcp or om-mcp",
-  {
-    type: z
-      .enum(["all", "repos", "collections"])
-      .optional()
-      .default("all")
-      .describe("What to list: all, repos only, or collections only"),
-  },
-  async ({ type = "all" }) => {
+// Resolves to the token written into the lock, which identifies its owner
+async function acquireStoreLock() {
+  ensureStore();
+  const token = `${process.pid}-${crypto.randomBytes(8).toString("hex")}`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
     try {
-      const store = loadStore();
-      let output = "";
+      const fd = fs.openSync(LOCK_FILE, "wx", 0o600);
+      fs.writeSync(
+        fd,
+        JSON.stringify({
+          pid: process.pid,
+          token,
+          at: new Date().toISOString(),
+        })
+      );
+      fs.closeSync(fd);
+      return token;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
 
-      if (type === "all" || type === "repos") {
-        const repoEntries = Object.entries(store.repos);
-        if (repoEntries.length > 0) {
-          output += "📁 Repositories:\n";
-          repoEntries.forEach(([name, data], index) => {
-            const repoPath = typeof data === "string" ? data : data.path;
-            const ide = typeof data === "string" ? null : data.ide;
-            const ideStr = ide ? ` (IDE: ${ide})` : "";
-            output += `  ${index + 1}. ${name} -> ${repoPath}${ideStr}\n`;
-          });
-          output += "\n";
-        } else {
-          output += "📁 No repositories found\n\n";
-        }
-      }
+    if (isStaleLock()) {
+      breakStaleLock(token);
+    } else if (Date.now() > deadline) {
+      throw new ToolError(
+        "STORE_LOCKED",
+        `The store is locked by another process (${LOCK_FILE})`
+      );
+    } else {
+      await sleep(25 + Math.random() * 50);
+    }
+  }
+}
 
-      if (type === "all" || type === "collections") {
-        const collectionEntries = Object.entries(store.collections);
-        if (collectionEntries.length > 0) {
-          output += "📚 Collections:\n";
-          collectionEntries.forEach(([key, collection], index) => {
-            const repos =
-              collection.repos || (Array.isArray(collection) ? collection : []);
-            const ide = collection.ide;
-            const ideStr = ide ? ` (IDE: ${ide})` : "";
-            output += `  ${index + 1}. ${collection.name || key} (${
-              repos.length
-            } repos)${ideStr}\n`;
-          });
-        } else {
-          output += "📚 No collections found\n";
-        }
+// Only remove the lock while it is still ours: it may have been broken as
+// stale and taken by another process in the meantime
+function releaseStoreLock(token) {
+  if (lockToken() === token) fs.rmSync(LOCK_FILE, { force: true });
+}
+
+async function withStoreLock(fn) {
+  const token = await acquireStoreLock();
+  try {
+    return fn();
+  } finally {
+    releaseStoreLock(token);
+  }
+}
+
+// Change journal: every store mutation made through a tool is appended to
+// journal.jsonl with the values it replaced, so it can be reviewed and undone
+const JOURNAL_SECTIONS = ["repos", "collections"];
+
+function readJournal() {
+  let contents;
+  try {
+    contents = fs.readFileSync(JOURNAL_FILE, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  return contents
+    .split("\n")
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch (e) {
+        // Skip a line torn by a crash mid-append
+        return [];
       }
+    });
+}
 
-      if (!output) {
-        output = "No repositories or collections found.";
+function appendJournal(entry) {
+  const entries = readJournal();
+  const id = entries.length > 0 ? entries[entries.length - 1].id + 1 : 1;
+  const record = { id, at: new Date().toISOString(), ...entry };
+  fs.appendFileSync(JOURNAL_FILE, `${JSON.stringify(record)}\n`, {
+    mode: 0o600,
+  });
+  return record;
+}
+
+// One change per repo or collection entry, and one per other top-level
+// setting (ide_default, policy). Absent values are recorded as null.
+function diffStores(before, after) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const changes = [];
+
+  for (const section of JOURNAL_SECTIONS) {
+    const from = before[section] || {};
+    const to = after[section] || {};
+    for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+      if (!same(from[key], to[key])) {
+        changes.push({
+          section,
+          key,
+          before: from[key] ?? null,
+          after: to[key] ?? null,
+        });
       }
+    }
+  }
 
-      return {
-        content: [{ type: "text", text: output }],
-      };
-    } catch (error) {
-      return {
-        content: [{ type: "text", text: `Error: ${error.message}` }],
-      };
+  for (const section of new Set([
+    ...Object.keys(before),
+    ...Object.keys(after),
+  ])) {
+    if (section === "version" || JOURNAL_SECTIONS.includes(section)) continue;
+    if (!same(before[section], after[section])) {
+      changes.push({
+        section,
+        key: null,
+        before: before[section] ?? null,
+        after: after[section] ?? null,
+      });
     }
   }
-);
+  return changes;
+}
 
-// Add a new repository
-server.tool(
-  "add-repo",
-  "Add a new repository to OpenMate using openmate-mcp or om-mcp",
-  {
-    name: z.string().min(1).describe("The name to identify this repository"),
-    path: z.string().min(1).describe("The filesystem path to the repository"),
-  },
-  async ({ name, path: repoPath }) => {
-    try {
-      const store = loadStore();
-      const normalized = normalizeName(name);
+function journalValue(store, { section, key }) {
+  const value = key === null ? store[section] : (store[section] || {})[key];
+  return value ?? null;
+}
 
-      if (store.repos[normalized]) {
-        return {
-          content: [
-            { type: "text", text: `❌ Repository '${name}' already exists` },
-          ],
-        };
-      }
+function setJournalValue(store, { section, key }, value) {
+  if (key === null) {
+    if (value === null) delete store[section];
+    else store[section] = value;
+  } else if (value === null) {
+    delete store[section][key];
+  } else {
+    store[section] = store[section] || {};
+    store[section][key] = value;
+  }
+}
 
-      const expandedPath = repoPath.replace(/^~(?=$|[\\/])/, os.homedir());
-      const resolvedPath = path.resolve(expandedPath);
+// The newest entry that is not an undo and has not been undone
+function lastUndoableEntry(entries) {
+  const undone = new Set(entries.map((e) => e.undoes).filter(Boolean));
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (!entries[i].undoes && !undone.has(entries[i].id)) return entries[i];
+  }
+  return null;
+}
 
-      const stats = fs.statSync(resolvedPath);
-      if (!stats.isDirectory()) {
-        throw new Error("Path is not a directory");
-      }
+/**
+ * Read-modify-write the store safely against the OpenMate CLI, UI and other
+ * servers. mutate(store, legacy) edits the store in place and returns the
+ * tool result; error results and unchanged stores are never written, unless
+ * migrate is set and the file is still in an older shape (see legacyShapes).
+ * The write
+ * happens under an advisory lock and only if the file still has the hash it
+ * had when read; otherwise the store is re-read and mutate runs again, so it
+ * must not have side effects beyond the store (and the journal fields).
+ * Every write that changes entries is recorded in the journal along with the
+ * journal fields, which name the tool making the change.
+ */
+async function updateStore(journal, mutate, { migrate = false } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const { store, hash, corrupt, legacy } = readStore();
+    const before = JSON.stringify(store);
+    const result = await mutate(store, legacy);
+    const unchanged =
+      JSON.stringify(store) === before && !(migrate && legacy.length > 0);
+    if ((result && result.isError) || unchanged) {
+      return result;
+    }
 
-      store.repos[normalized] = {
-        path: resolvedPath,
-        addedAt: new Date().toISOString(),
-      };
+    const saved = await withStoreLock(() => {
+      if (storeHash() !== hash) return false;
+      if (corrupt) moveCorruptStore();
       saveStore(store);
+      const changes = diffStores(JSON.parse(before), store);
+      if (changes.length > 0) {
+        appendJournal({ ...journal, client: clientName(), changes });
+      }
+      return true;
+    });
+    if (saved) {
+      try {
+        syncWorkspaces(store);
+      } catch (e) {
+        console.error(`Failed to update workspace files: ${e.message}`);
+      }
+      return result;
+    }
 
-      return {
-        content: [
+    if (attempt >= MAX_UPDATE_ATTEMPTS) {
+      throw new ToolError(
+        "STORE_CONFLICT",
+        "The store kept changing while saving. Please try again."
+      );
+    }
+  }
+}
+
+// Usage statistics are kept in usage.json rather than in the store, so
+// opening repositories neither fills the change journal nor makes undo
+// refuse because an entry was touched
+function loadUsage() {
+  try {
+    const usage = JSON.parse(fs.readFileSync(USAGE_FILE, "utf8"));
+    return { repos: usage.repos || {}, collections: usage.collections || {} };
+  } catch (e) {
+    return { repos: {}, collections: {} };
+  }
+}
+
+async function updateUsage(update) {
+  await withStoreLock(() => {
+    const usage = loadUsage();
+    update(usage);
+    writeFileAtomic(
+      USAGE_FILE,
+      JSON.stringify({ version: 1, ...usage }, null, 2)
+    );
+  });
+}
+
+// Count a successful open of the given repos or collections. Failing to
+// record it never fails the open itself.
+async function recordOpen(section, keys, ide) {
+  try {
+    await updateUsage((usage) => {
+      const at = new Date().toISOString();
+      for (const key of keys) {
+        const previous = usage[section][key] || {};
+        usage[section][key] = {
+          lastOpenedAt: at,
+          openCount: (previous.openCount || 0) + 1,
+          lastIde: ide,
+        };
+      }
+    });
+  } catch (e) {
+    console.error(`Failed to record usage: ${e.message}`);
+  }
+}
+
+// Carry usage over when a repo or collection is renamed
+async function renameUsage(section, oldKey, newKey) {
+  try {
+    await updateUsage((usage) => {
+      if (!usage[section][oldKey]) return;
+      usage[section][newKey] = usage[section][oldKey];
+      delete usage[section][oldKey];
+    });
+  } catch (e) {
+    console.error(`Failed to update usage: ${e.message}`);
+  }
+}
+
+function usageEntry(stats = {}) {
+  return {
+    lastOpenedAt: stats.lastOpenedAt || null,
+    openCount: stats.openCount || 0,
+    lastIde: stats.lastIde || null,
+  };
+}
+
+function normalizeName(name) {
+  if (!name || typeof name !== "string") return "";
+  return name.trim().toLowerCase();
+}
+
+// Name resolution with suggestions
+const MAX_SUGGESTIONS = 5;
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Rank keys by prefix, then substring, then edit-distance matches
+function rankMatches(query, keys) {
+  if (!query) return [];
+  const maxDistance = Math.max(1, Math.floor(query.length / 3));
+
+  return keys
+    .map((key) => {
+      if (key.startsWith(query)) return { key, tier: 0, distance: 0 };
+      if (key.includes(query)) return { key, tier: 1, distance: 0 };
+      const distance = editDistance(query, key);
+      if (distance <= maxDistance) return { key, tier: 2, distance };
+      return null;
+    })
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        a.tier - b.tier ||
+        a.distance - b.distance ||
+        a.key.length - b.key.length ||
+        a.key.localeCompare(b.key)
+    )
+    .map(({ key }) => key);
+}
+
+/**
+ * Resolve a user-supplied name to a key in store.repos or store.collections.
+ * Exact matches always resolve. A unique fuzzy match resolves only when
+ * autoResolve is set; destructive operations must pass autoResolve: false.
+ * Returns { key, fuzzy } on success, or { key: null, suggestions } otherwise.
+ */
+function resolveName(store, name, kind, { autoResolve = true } = {}) {
+  const normalized = normalizeName(name);
+  if (store[kind][normalized]) return { key: normalized, fuzzy: false };
+
+  const suggestions = {
+    repos: rankMatches(normalized, Object.keys(store.repos)),
+    collections: rankMatches(normalized, Object.keys(store.collections)),
+  };
+
+  if (autoResolve && suggestions[kind].length === 1) {
+    return { key: suggestions[kind][0], fuzzy: true };
+  }
+
+  return { key: null, suggestions };
+}
+
+function notFoundMessage(label, name, { suggestions }) {
+  let text = `${label} '${name}' not found`;
+  const repos = suggestions.repos.slice(0, MAX_SUGGESTIONS);
+  const collections = suggestions.collections.slice(0, MAX_SUGGESTIONS);
+  if (repos.length === 0 && collections.length === 0) return text;
+
+  text += ". Did you mean:";
+  if (repos.length > 0) text += `\n  📁 Repositories: ${repos.join(", ")}`;
+  if (collections.length > 0) {
+    text += `\n  📚 Collections: ${collections.join(", ")}`;
+  }
+  return text;
+}
+
+function resolvedNote(name, resolved) {
+  return resolved.fuzzy ? `🔎 Resolved '${name}' to '${resolved.key}'\n` : "";
+}
+
+function resolvedFrom(name, resolved) {
+  return resolved.fuzzy ? { resolvedFrom: name } : {};
+}
+
+// Tool results
+class ToolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ToolError";
+    this.code = code;
+  }
+}
+
+// Stable error codes for filesystem errors surfaced by tools
+const ERRNO_CODES = {
+  ENOENT: "PATH_MISSING",
+  ENOTDIR: "NOT_A_DIRECTORY",
+  EACCES: "PERMISSION_DENIED",
+  EPERM: "PERMISSION_DENIED",
+};
+
+function toolResult(text, structuredContent) {
+  return {
+    content: [{ type: "text", text }],
+    structuredContent,
+  };
+}
+
+// Errors carry no structuredContent (clients validate it against the output
+// schema even for errors), so the stable code travels in _meta instead
+function toolError(code, message, details = {}) {
+  return {
+    content: [{ type: "text", text: `❌ ${message}` }],
+    _meta: { error: { code, message, ...details } },
+    isError: true,
+  };
+}
+
+function notFoundError(label, code, name, resolved) {
+  const { repos, collections } = resolved.suggestions;
+  return toolError(code, notFoundMessage(label, name, resolved), {
+    name,
+    suggestions: {
+      repos: repos.slice(0, MAX_SUGGESTIONS),
+      collections: collections.slice(0, MAX_SUGGESTIONS),
+    },
+  });
+}
+
+function errorResult(error) {
+  if (error instanceof ToolError) return toolError(error.code, error.message);
+  return toolError(
+    ERRNO_CODES[error.code] || "INTERNAL_ERROR",
+    `Error: ${error.message}`
+  );
+}
+
+// Expand "~", resolve and validate a repository path the way add-repo expects
+function resolveRepoPath(repoPath) {
+  const expandedPath = repoPath.replace(/^~(?=$|[\\/])/, os.homedir());
+  const resolvedPath = path.resolve(expandedPath);
+
+  if (!fs.existsSync(resolvedPath)) {
+    throw new ToolError("PATH_MISSING", `Path does not exist: ${resolvedPath}`);
+  }
+  if (!fs.statSync(resolvedPath).isDirectory()) {
+    throw new ToolError(
+      "NOT_A_DIRECTORY",
+      `Path is not a directory: ${resolvedPath}`
+    );
+  }
+  return resolvedPath;
+}
+
+// Resolve a file given relative to a repository, refusing anything (including
+// symlinks) that leads outside it
+function resolveRepoFile(repoPath, file) {
+  const filePath = path.resolve(repoPath, file);
+  const outside = () =>
+    new ToolError(
+      "PATH_OUTSIDE_REPO",
+      `File is outside the repository ${repoPath}: ${file}`
+    );
+  // Containment is checked before existence, so nothing is revealed about
+  // paths outside the repository; the realpath check then catches symlinks
+  if (!isInside(repoPath, filePath)) throw outside();
+  if (!fs.existsSync(filePath)) {
+    throw new ToolError("PATH_MISSING", `File does not exist: ${filePath}`);
+  }
+  if (!isInside(realPath(repoPath), realPath(filePath))) throw outside();
+  if (fs.statSync(filePath).isDirectory()) {
+    throw new ToolError("INVALID_ARGUMENT", `Not a file: ${filePath}`);
+  }
+  return filePath;
+}
+
+// Paths policy: when store.policy.allowedRoots lists directories, repositories
+// may only be registered or opened inside one of them
+function realPath(p) {
+  try {
+    return fs.realpathSync(p);
+  } catch (e) {
+    return path.resolve(p);
+  }
+}
+
+function isInside(root, target) {
+  const caseInsensitive =
+    process.platform === "win32" || process.platform === "darwin";
+  const norm = (p) => (caseInsensitive ? p.toLowerCase() : p);
+  const rel = path.relative(norm(root), norm(target));
+  // A child may be named "..notes", so only ".." as a whole segment escapes
+  return (
+    rel === "" ||
+    (rel !== ".." && !rel.startsWith(`..${path.sep}`) && !path.isAbsolute(rel))
+  );
+}
+
+function allowedRoots(store) {
+  const roots = (store.policy && store.policy.allowedRoots) || [];
+  return roots.map((root) =>
+    realPath(path.resolve(root.replace(/^~(?=$|[\\/])/, os.homedir())))
+  );
+}
+
+function assertPathAllowed(store, repoPath) {
+  const roots = allowedRoots(store);
+  if (roots.length === 0) return;
+
+  const target = realPath(repoPath);
+  if (!roots.some((root) => isInside(root, target))) {
+    throw new ToolError(
+      "PATH_NOT_ALLOWED",
+      `Path is outside the allowed roots (${roots.join(", ")}): ${repoPath}`
+    );
+  }
+}
+
+// Multi-root workspaces: collections opened in an editor that supports them
+// get a .code-workspace file listing their repositories as folders
+function workspaceFile(key) {
+  return path.join(WORKSPACES_DIR, `${encodeURIComponent(key)}.code-workspace`);
+}
+
+// Check a collection member before opening it: registered, present on disk
+// and inside the allowed roots
+function collectionRepoTarget(store, repoName) {
+  const repoData = store.repos[repoName];
+  if (!repoData) return { name: repoName, path: null, status: "not-in-store" };
+
+  const repoPath = repoData.path;
+  if (!fs.existsSync(repoPath)) {
+    return { name: repoName, path: repoPath, status: "missing" };
+  }
+  try {
+    assertPathAllowed(store, repoPath);
+  } catch (e) {
+    return {
+      name: repoName,
+      path: repoPath,
+      status: "not-allowed",
+      error: e.message,
+    };
+  }
+  return { name: repoName, path: repoPath, status: "ready" };
+}
+
+function workspaceFolders(store, collection) {
+  return collection.repos
+    .map((repoName) => collectionRepoTarget(store, repoName))
+    .filter(({ status }) => status === "ready")
+    .map(({ name, path: folderPath }) => ({ name, path: folderPath }));
+}
+
+// Write a collection's workspace file, keeping the settings and anything else
+// the editor saved in it, and only touching it when the folders changed
+function writeWorkspace(key, folders) {
+  const file = workspaceFile(key);
+  let workspace = {};
+  try {
+    workspace = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    // Missing, or not plain JSON any more: start from scratch
+  }
+  if (JSON.stringify(workspace.folders) === JSON.stringify(folders)) {
+    return file;
+  }
+
+  const next = { folders, settings: {}, ...workspace };
+  next.folders = folders;
+  fs.mkdirSync(WORKSPACES_DIR, { recursive: true });
+  writeFileAtomic(file, JSON.stringify(next, null, 2), 0o644);
+  return file;
+}
+
+// Regenerate the existing workspace files after collection membership or
+// repository paths change. Files of deleted collections are left in place so
+// their settings survive an undo.
+function syncWorkspaces(store) {
+  let files;
+  try {
+    files = fs.readdirSync(WORKSPACES_DIR);
+  } catch (e) {
+    return;
+  }
+
+  for (const file of files) {
+    if (!file.endsWith(".code-workspace")) continue;
+    let key;
+    try {
+      key = decodeURIComponent(path.basename(file, ".code-workspace"));
+    } catch (e) {
+      continue;
+    }
+    const collection = store.collections[key];
+    if (collection) writeWorkspace(key, workspaceFolders(store, collection));
+  }
+}
+
+// Repository discovery
+const DEFAULT_SCAN_IGNORE = ["node_modules", ".*"];
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(
+    `^${escaped.replace(/\*/g, ".*").replace(/\?/g, ".")}$`,
+    "i"
+  );
+}
+
+function findGitRepos(root, { maxDepth, ignore }) {
+  const ignoreRes = ignore.map(globToRegExp);
+  const found = [];
+
+  const walk = (dir, depth) => {
+    if (fs.existsSync(path.join(dir, ".git"))) {
+      found.push(dir);
+      return;
+    }
+    if (depth >= maxDepth) return;
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      if (ignoreRes.some((re) => re.test(entry.name))) continue;
+      walk(path.join(dir, entry.name), depth + 1);
+    }
+  };
+
+  walk(root, 0);
+  return found.sort();
+}
+
+function proposeRepoName(repoPath, takenNames) {
+  const toName = (s) => normalizeName(s).replace(/\s+/g, "-");
+  const base = toName(path.basename(repoPath));
+  if (!takenNames.has(base)) return { name: base, collision: null };
+
+  const parent = toName(path.basename(path.dirname(repoPath)));
+  let candidate = parent ? `${parent}-${base}` : base;
+  for (let i = 2; takenNames.has(candidate); i++) {
+    candidate = `${base}-${i}`;
+  }
+  return { name: candidate, collision: base };
+}
+
+// Git helpers
+async function runGit(repoPath, args, { timeoutMs = 0 } = {}) {
+  const { stdout } = await execFileAsync("git", args, {
+    cwd: repoPath,
+    windowsHide: true,
+    maxBuffer: 10 * 1024 * 1024,
+    timeout: timeoutMs,
+    // Fail instead of waiting for credentials nobody can type
+    env: { ...process.env, GIT_TERMINAL_PROMPT: "0" },
+  });
+  return stdout;
+}
+
+function gitError(e) {
+  if (e.code === "ENOENT") return "git is not installed";
+  if (e.killed) return "timed out";
+  return (e.stderr || e.message).trim();
+}
+
+/**
+ * Fetch a repository's upstream and, in "pull" mode, fast-forward it. Repos
+ * with uncommitted changes to tracked files are skipped in both modes.
+ * Resolves to { status, reason?, from?, to?, commits?, error? } with status
+ * updated, up-to-date, skipped, failed, not-git or missing.
+ */
+async function syncRepo(repoPath, mode, { timeoutMs }) {
+  const status = await getRepoStatus(repoPath);
+  switch (status.state) {
+    case "missing":
+    case "not-a-directory":
+      return { status: "missing" };
+    case "not-git":
+      return { status: "not-git" };
+    case "error":
+      return { status: "failed", error: status.error };
+  }
+
+  if (status.detached) return { status: "skipped", reason: "detached" };
+  if (!status.upstream) return { status: "skipped", reason: "no-upstream" };
+  if (status.dirty > 0) return { status: "skipped", reason: "dirty" };
+
+  try {
+    const upstreamHead = async () =>
+      (await runGit(repoPath, ["rev-parse", "@{upstream}"])).trim();
+    const before = await upstreamHead();
+    await runGit(repoPath, ["fetch", "--quiet"], { timeoutMs });
+    const after = await upstreamHead();
+
+    if (mode === "fetch") {
+      return before === after
+        ? { status: "up-to-date" }
+        : { status: "updated", from: before, to: after };
+    }
+
+    const counts = await runGit(repoPath, [
+      "rev-list",
+      "--left-right",
+      "--count",
+      "HEAD...@{upstream}",
+    ]);
+    const [ahead, behind] = counts.trim().split(/\s+/).map(Number);
+    if (behind === 0) return { status: "up-to-date" };
+    if (ahead > 0) return { status: "skipped", reason: "diverged" };
+
+    const head = (await runGit(repoPath, ["rev-parse", "HEAD"])).trim();
+    await runGit(repoPath, ["merge", "--ff-only", "--quiet", "@{upstream}"], {
+      timeoutMs,
+    });
+    return { status: "updated", from: head, to: after, commits: behind };
+  } catch (e) {
+    return { status: "failed", error: gitError(e) };
+  }
+}
+
+// How many repositories repo-status and collection-status check at a time
+const STATUS_PARALLEL = 8;
+
+async function getRepoStatus(repoPath) {
+  if (!fs.existsSync(repoPath)) {
+    return { state: "missing", path: repoPath };
+  }
+  if (!fs.statSync(repoPath).isDirectory()) {
+    return { state: "not-a-directory", path: repoPath };
+  }
+
+  let porcelain;
+  try {
+    // Without optional locks, status does not refresh the index and so never
+    // holds index.lock while the user runs git in the same repository
+    porcelain = await runGit(repoPath, [
+      "--no-optional-locks",
+      "status",
+      "--porcelain=v2",
+      "--branch",
+    ]);
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      return { state: "error", path: repoPath, error: "git is not installed" };
+    }
+    if (/not a git repository/i.test(e.stderr || "")) {
+      return { state: "not-git", path: repoPath };
+    }
+    return {
+      state: "error",
+      path: repoPath,
+      error: (e.stderr || e.message).trim(),
+    };
+  }
+
+  const status = {
+    state: "git",
+    path: repoPath,
+    branch: null,
+    upstream: null,
+    ahead: 0,
+    behind: 0,
+    dirty: 0,
+    untracked: 0,
+    lastCommit: null,
+  };
+
+  for (const line of porcelain.split("\n")) {
+    if (line.startsWith("# branch.head ")) {
+      const head = line.slice("# branch.head ".length);
+      status.branch = head === "(detached)" ? null : head;
+      status.detached = head === "(detached)";
+    } else if (line.startsWith("# branch.upstream ")) {
+      status.upstream = line.slice("# branch.upstream ".length);
+    } else if (line.startsWith("# branch.ab ")) {
+      const [ahead, behind] = line.slice("# branch.ab ".length).split(" ");
+      status.ahead = Math.abs(parseInt(ahead, 10)) || 0;
+      status.behind = Math.abs(parseInt(behind, 10)) || 0;
+    } else if (/^[12u] /.test(line)) {
+      status.dirty++;
+    } else if (line.startsWith("? ")) {
+      status.untracked++;
+    }
+  }
+
+  try {
+    const log = await runGit(repoPath, ["log", "-1", "--format=%s%x00%cI"]);
+    const [subject, date] = log.trim().split("\0");
+    if (subject !== undefined && date) status.lastCommit = { subject, date };
+  } catch (e) {
+    // No commits yet on this branch
+  }
+
+  return status;
+}
+
+function formatRepoStatus(name, status) {
+  switch (status.state) {
+    case "missing":
+      return `❌ ${name} -> Path not found: ${status.path}`;
+    case "not-a-directory":
+      return `❌ ${name} -> Not a directory: ${status.path}`;
+    case "not-git":
+      return `➖ ${name} -> Not a git repository: ${status.path}`;
+    case "not-in-store":
+      return `❌ ${name} -> Repository not found in store`;
+    case "error":
+      return `❌ ${name} -> Git error: ${status.error}`;
+  }
+
+  const branch = status.detached ? "(detached HEAD)" : status.branch;
+  const clean = status.dirty === 0 && status.untracked === 0;
+  let line = `${clean ? "✅" : "⚠️"} ${name} [${branch}]`;
+  line += clean
+    ? " clean"
+    : ` ${status.dirty} changed, ${status.untracked} untracked`;
+  if (status.upstream) {
+    line += `, ↑${status.ahead} ↓${status.behind} vs ${status.upstream}`;
+  } else {
+    line += ", no upstream";
+  }
+  line += `\n    Path: ${status.path}`;
+  if (status.lastCommit) {
+    line += `\n    Last commit: ${status.lastCommit.subject} (${status.lastCommit.date})`;
+  } else {
+    line += "\n    Last commit: none";
+  }
+  return line;
+}
+
+// Repository name suggested by a clone URL: its last path segment without
+// ".git", e.g. git@github.com:acme/pay-api.git -> pay-api
+function repoNameFromUrl(url) {
+  const segment = url
+    .replace(/[\\/]+$/, "")
+    .split(/[\\/:]/)
+    .pop();
+  return normalizeName(segment.replace(/\.git$/i, "")).replace(/\s+/g, "-");
+}
+
+async function cloneRepo(url, destination, { timeoutMs }) {
+  // ext:: remotes run arbitrary commands, so never allow them
+  await runGit(
+    path.dirname(destination),
+    [
+      "-c",
+      "protocol.ext.allow=never",
+      "clone",
+      "--quiet",
+      "--",
+      url,
+      destination,
+    ],
+    { timeoutMs }
+  );
+}
+
+// IDE registry
+const launchCandidateSchema = z.object({
+  cmd: z.string().min(1).describe("The executable to run"),
+  args: z
+    .array(z.string())
+    .optional()
+    .default(["{path}"])
+    .describe("Arguments; {path} is replaced by the repository path"),
+  paths: z
+    .array(z.string())
+    .optional()
+    .describe(
+      "Install locations to probe when the command is not on PATH (supports *, {home} and {env.NAME})"
+    ),
+  platform: z
+    .enum(LAUNCH_PLATFORMS)
+    .optional()
+    .default("default")
+    .describe(
+      "Platform this candidate applies to (darwin, win32, linux, or default for any platform without its own list)"
+    ),
+});
+
+// An entry as saved in editors.json, where candidates are grouped by platform
+const customEditorSchema = z.object({
+  name: z.string().min(1),
+  workspace: z.boolean().optional(),
+  goto: z.array(z.string()).optional(),
+  launch: z
+    .record(
+      z.enum(LAUNCH_PLATFORMS),
+      z.array(launchCandidateSchema.omit({ platform: true })).min(1)
+    )
+    .refine((launch) => Object.keys(launch).length > 0, {
+      message: "Needs at least one launch platform",
+    }),
+});
+
+// Entries as saved, including invalid ones. add-ide and remove-ide edit
+// these, so a hand-edited entry is kept until it is fixed or removed. A file
+// that does not parse throws, so that it is never saved over.
+function readEditorsFile() {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(EDITORS_FILE, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw new ToolError(
+      "EDITORS_FILE_INVALID",
+      `Cannot read ${EDITORS_FILE}: ${e.message}. Fix or remove the file first.`
+    );
+  }
+  const isObject = (value) =>
+    Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  if (
+    !isObject(data) ||
+    (data.editors !== undefined && !isObject(data.editors))
+  ) {
+    throw new ToolError(
+      "EDITORS_FILE_INVALID",
+      `${EDITORS_FILE} must hold an "editors" object. Fix or remove the file first.`
+    );
+  }
+  return data.editors || {};
+}
+
+const reportedEditorIssues = new Set();
+
+function reportEditorIssue(message) {
+  if (!reportedEditorIssues.has(message)) {
+    reportedEditorIssues.add(message);
+    console.error(message);
+  }
+}
+
+// editors.json may be edited by hand, so entries that do not match
+// customEditorSchema are reported and skipped rather than breaking every IDE.
+// An unreadable file leaves only the built-in IDEs.
+function loadCustomEditors() {
+  let entries;
+  try {
+    entries = readEditorsFile();
+  } catch (e) {
+    reportEditorIssue(e.message);
+    return {};
+  }
+  const editors = {};
+  for (const [key, entry] of Object.entries(entries)) {
+    const parsed = customEditorSchema.safeParse(entry);
+    if (parsed.success) {
+      editors[key] = parsed.data;
+    } else {
+      const issue = parsed.error.issues[0];
+      const message = `Skipping IDE '${key}' in ${EDITORS_FILE}: ${
+        issue.path.length > 0 ? `${issue.path.join(".")}: ` : ""
+      }${issue.message}`;
+      reportEditorIssue(message);
+    }
+  }
+  return editors;
+}
+
+function saveCustomEditors(editors) {
+  ensureStore();
+  writeFileAtomic(
+    EDITORS_FILE,
+    JSON.stringify({ version: 1, editors }, null, 2)
+  );
+}
+
+// Built-in editors merged with ~/.openmate/editors.json (custom entries win)
+function loadEditors() {
+  return { ...BUILTIN_EDITORS, ...loadCustomEditors() };
+}
+
+function ideChoices(editors = loadEditors()) {
+  return Object.entries(editors)
+    .map(([key, editor]) => `${key} (${editor.name})`)
+    .join(", ");
+}
+
+function ideParam(description) {
+  const editors = loadEditors();
+  return z
+    .enum(Object.keys(editors))
+    .describe(`${description}: ${ideChoices(editors)}`);
+}
+
+function fillTemplate(value, vars) {
+  return value.replace(/\{(\w+)\}/g, (match, key) =>
+    key in vars ? vars[key] : match
+  );
+}
+
+function launchCandidates(editor, vars, platform = process.platform) {
+  const candidates = editor.launch[platform] || editor.launch.default || [];
+  return candidates.map(({ cmd, args = [], paths }) => ({
+    cmd,
+    args: args.map((arg) => fillTemplate(arg, vars)),
+    ...(paths ? { paths } : {}),
+  }));
+}
+
+/**
+ * The commands openInIde tries for an editor, in registry order. With a
+ * location ({ file, line, column }) the editor's goto arguments are appended;
+ * macOS "open -a" can only pass the file along, so it opens without jumping.
+ * For an editor that is not installed (only planned in dry runs), its launch
+ * candidates are listed with their commands unresolved.
+ */
+function launchPlan(editor, detection, repoPath, location = null) {
+  const vars = { path: repoPath };
+  if (location) {
+    Object.assign(vars, {
+      file: location.file,
+      line: String(location.line),
+      column: String(location.column),
+    });
+  }
+
+  const candidates = detection.installed
+    ? detection.available
+    : launchCandidates(editor, {}).map((candidate) => ({
+        ...candidate,
+        executable: candidate.cmd,
+      }));
+  return candidates.map(({ cmd, args, executable }) => {
+    let launchArgs = args;
+    if (location) {
+      launchArgs = [...args, ...(cmd === "open" ? ["{file}"] : detection.goto)];
+    }
+    return {
+      cmd: cmd === "open" ? cmd : executable,
+      args: launchArgs.map((arg) => fillTemplate(arg, vars)),
+    };
+  });
+}
+
+// Launch the candidates detection found installed until one starts
+function openInIde(detection, repoPath, location = null) {
+  return attemptLaunch(launchPlan(null, detection, repoPath, location));
+}
+
+// Text listing a dry run's launch plan
+function planText(plan) {
+  return plan.length > 0
+    ? `Would try in order:\n${plan
+        .map((command, index) => `  ${index + 1}. ${formatCommand(command)}`)
+        .join("\n")}`
+    : "No launch command is available for this platform";
+}
+
+function notInstalledWarning(editor, detection) {
+  return detection.installed
+    ? ""
+    : `\n⚠️ ${editor.name} is not installed, so a real open would fail with IDE_NOT_INSTALLED`;
+}
+
+// IDE detection
+const DETECTION_TTL_MS = 5 * 60 * 1000;
+let detectionCache = null;
+
+function isExecutableFile(filePath) {
+  try {
+    if (!fs.statSync(filePath).isFile()) return false;
+    if (process.platform !== "win32") {
+      fs.accessSync(filePath, fs.constants.X_OK);
+    }
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function findOnPath(cmd) {
+  if (path.isAbsolute(cmd)) return isExecutableFile(cmd) ? cmd : null;
+
+  const exts =
+    process.platform === "win32" && !path.extname(cmd)
+      ? (process.env.PATHEXT || ".EXE;.CMD;.BAT;.COM").split(";")
+      : [""];
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (!dir) continue;
+    for (const ext of exts) {
+      const candidate = path.join(dir, cmd + ext);
+      if (isExecutableFile(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+// Expand {home}, {env.NAME} and "*" segments in an install location pattern
+function expandInstallPath(pattern) {
+  let unresolved = false;
+  const expanded = pattern.replace(/\{(home|env\.(\w+))\}/g, (m, key, env) => {
+    if (key === "home") return os.homedir();
+    if (!process.env[env]) unresolved = true;
+    return process.env[env] || "";
+  });
+  if (unresolved) return [];
+
+  const segments = path.resolve(expanded).split(/[\\/]/);
+  let matches = [segments[0] || path.sep];
+  for (const segment of segments.slice(1)) {
+    if (!segment) continue;
+    if (!segment.includes("*")) {
+      matches = matches.map((dir) => path.join(dir, segment));
+      continue;
+    }
+    const re = globToRegExp(segment);
+    matches = matches.flatMap((dir) => {
+      try {
+        return fs
+          .readdirSync(dir)
+          .filter((entry) => re.test(entry))
+          .sort()
+          .reverse()
+          .map((entry) => path.join(dir, entry));
+      } catch (e) {
+        return [];
+      }
+    });
+  }
+  return matches.filter(isExecutableFile);
+}
+
+function findMacApp(appName) {
+  const dirs = [
+    "/Applications",
+    path.join(os.homedir(), "Applications"),
+    "/System/Applications",
+  ];
+  for (const dir of dirs) {
+    const bundle = path.join(dir, `${appName}.app`);
+    if (fs.existsSync(bundle)) return bundle;
+  }
+  return null;
+}
+
+function resolveExecutable({ cmd, args = [], paths = [] }) {
+  if (cmd === "open" && process.platform === "darwin" && args[0] === "-a") {
+    return findMacApp(args[1]);
+  }
+  const onPath = findOnPath(cmd);
+  if (onPath) return onPath;
+  for (const pattern of paths) {
+    const [match] = expandInstallPath(pattern);
+    if (match) return match;
+  }
+  return null;
+}
+
+function detectEditor(editor) {
+  const available = [];
+  for (const candidate of launchCandidates(editor, {})) {
+    const executable = resolveExecutable(candidate);
+    if (executable) {
+      available.push({ cmd: candidate.cmd, args: candidate.args, executable });
+    }
+  }
+  return {
+    installed: available.length > 0,
+    executable: available.length > 0 ? available[0].executable : null,
+    available,
+    goto: editor.goto || null,
+  };
+}
+
+/**
+ * Detect which registered editors are installed. Results are cached for
+ * DETECTION_TTL_MS and cleared whenever the IDE registry changes.
+ */
+function detectIdes({ refresh = false } = {}) {
+  const fresh =
+    detectionCache && Date.now() - detectionCache.at < DETECTION_TTL_MS;
+  if (!refresh && fresh) return detectionCache;
+
+  const editors = loadEditors();
+  const results = {};
+  for (const [key, editor] of Object.entries(editors)) {
+    results[key] = { key, name: editor.name, ...detectEditor(editor) };
+  }
+  detectionCache = { at: Date.now(), results };
+  return detectionCache;
+}
+
+function detectIde(key) {
+  return (
+    detectIdes().results[key] || detectIdes({ refresh: true }).results[key]
+  );
+}
+
+// IDE resolution. The first link of the chain that names an IDE wins:
+// explicit argument, repository, collection, project type, global default.
+const IDE_SOURCES = [
+  "argument",
+  "repo",
+  "collection",
+  "project-type",
+  "global",
+  "fallback",
+];
+const FALLBACK_IDE = "ag";
+
+// Marker files are checked in order, so a Java project with a package.json
+// for its frontend still opens in IntelliJ
+const PROJECT_TYPES = [
+  {
+    type: "java",
+    markers: ["pom.xml", "build.gradle", "build.gradle.kts"],
+    ide: "ij",
+  },
+  {
+    type: "python",
+    markers: ["pyproject.toml", "requirements.txt", "setup.py", "Pipfile"],
+    ide: "pc",
+  },
+  { type: "node", markers: ["package.json"], ide: "vs" },
+];
+
+function detectProjectType(repoPath) {
+  for (const rule of PROJECT_TYPES) {
+    const marker = rule.markers.find((file) =>
+      fs.existsSync(path.join(repoPath, file))
+    );
+    if (marker) return { type: rule.type, ide: rule.ide, marker };
+  }
+  return null;
+}
+
+/**
+ * Resolve the IDE for a repository (repoKey) or a whole collection
+ * (collectionKey). For a repository without a collectionKey, the first
+ * collection containing it that has a preferred IDE is used. A project-type
+ * rule only applies when its IDE is installed. Returns { ide, source, reason,
+ * chain }, where chain records every link that was checked.
+ */
+function resolveIde(store, { ide, repoKey, collectionKey } = {}) {
+  const chain = [];
+  const check = (source, value, reason) => {
+    chain.push({ source, ide: value || null, reason });
+    return Boolean(value);
+  };
+  const decide = () => {
+    const decided = chain[chain.length - 1];
+    return { ...decided, chain };
+  };
+
+  if (check("argument", ide, ide ? "given explicitly" : "not given")) {
+    return decide();
+  }
+
+  const repo = repoKey ? store.repos[repoKey] : null;
+  if (repo) {
+    if (check("repo", repo.ide, repo.ide ? `set on '${repoKey}'` : "not set")) {
+      return decide();
+    }
+  }
+
+  let collectionName = collectionKey;
+  if (!collectionName && repo) {
+    collectionName = Object.keys(store.collections).find((key) => {
+      const collection = store.collections[key];
+      return collection.ide && collection.repos.includes(repoKey);
+    });
+  }
+  const collection = collectionName && store.collections[collectionName];
+  if (
+    (repo || collection) &&
+    check(
+      "collection",
+      collection && collection.ide,
+      collection && collection.ide
+        ? `set on collection '${collectionName}'`
+        : repo
+        ? "no collection containing it has one set"
+        : "not set"
+    )
+  ) {
+    return decide();
+  }
+
+  if (repo) {
+    const project = detectProjectType(repo.path);
+    let installed = false;
+    let reason = "no marker file found";
+    if (project) {
+      const editors = loadEditors();
+      installed =
+        Boolean(editors[project.ide]) && detectIde(project.ide).installed;
+      reason = `${project.type} project (${project.marker})${
+        installed ? "" : `, but ${project.ide} is not installed`
+      }`;
+    }
+    if (check("project-type", installed && project.ide, reason)) {
+      return decide();
+    }
+  }
+
+  if (
+    check(
+      "global",
+      store.ide_default,
+      store.ide_default ? "global default" : "not set"
+    )
+  ) {
+    return decide();
+  }
+
+  check("fallback", FALLBACK_IDE, "built-in fallback");
+  return decide();
+}
+
+// Explains an IDE that was not given explicitly, for tool output
+function ideChoiceNote(choice) {
+  if (choice.source === "argument") return "";
+  return `\nIDE: ${choice.ide} (${choice.source}: ${choice.reason})`;
+}
+
+function notInstalledError(ide, editorName) {
+  return toolError(
+    "IDE_NOT_INSTALLED",
+    `${editorName} (${ide}) does not appear to be installed on this machine. Run detect-ides to see which IDEs are available.`,
+    { ide }
+  );
+}
+
+// cmd.exe metacharacters, escaped with ^ so arguments are never interpreted
+const CMD_META_CHARS = /([()\][%!^"`<>&|;, *?])/g;
+
+function escapeCmdArg(arg) {
+  // Quote for the program's own argument parser, then escape for cmd.exe
+  const quoted = `"${arg
+    .replace(/(\\*)"/g, '$1$1\\"')
+    .replace(/(\\*)$/, "$1$1")}"`;
+  return quoted.replace(CMD_META_CHARS, "^$1");
+}
+
+/**
+ * Build the spawn call for a command and argument array without a shell.
+ * Windows .cmd/.bat shims (code.cmd, cursor.cmd, ...) can only run through
+ * cmd.exe, so those get every argument escaped for it explicitly.
+ */
+function spawnCommand(cmd, args) {
+  if (process.platform === "win32" && /\.(cmd|bat)$/i.test(cmd)) {
+    const line = [cmd, ...args].map(escapeCmdArg).join(" ");
+    return {
+      cmd: process.env.ComSpec || "cmd.exe",
+      args: ["/d", "/s", "/c", `"${line}"`],
+      options: { windowsVerbatimArguments: true },
+    };
+  }
+  return { cmd, args, options: { shell: false } };
+}
+
+// How long a launched command may run before it counts as started
+const LAUNCH_WINDOW_MS = 1500;
+
+function formatCommand({ cmd, args }) {
+  return [cmd, ...args].join(" ");
+}
+
+// Spawn one candidate and settle on its spawn error, its exit within the
+// launch window, or it still running when the window closes
+function launchCandidate({ cmd, args }) {
+  return new Promise((resolve) => {
+    let timer = null;
+    let settled = false;
+    const settle = (outcome) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(outcome);
+    };
+
+    let child;
+    try {
+      const command = spawnCommand(cmd, args);
+      child = spawn(command.cmd, command.args, {
+        stdio: "ignore",
+        detached: true,
+        windowsHide: true,
+        ...command.options,
+      });
+    } catch (e) {
+      settle({ ok: false, error: e.message });
+      return;
+    }
+
+    child.on("error", (e) =>
+      settle({
+        ok: false,
+        error: e.code === "ENOENT" ? "command not found" : e.message,
+      })
+    );
+    child.on("exit", (code, signal) => {
+      if (code === 0) settle({ ok: true });
+      else if (signal) settle({ ok: false, error: `killed by ${signal}` });
+      else settle({ ok: false, error: `exited with code ${code}` });
+    });
+    child.unref();
+
+    timer = setTimeout(() => settle({ ok: true }), LAUNCH_WINDOW_MS);
+  });
+}
+
+/**
+ * Try launch candidates in order until one starts. Resolves to
+ * { ok, command, attempts } where command is the candidate that ran and
+ * attempts lists every candidate tried with its error, if any.
+ */
+async function attemptLaunch(candidates) {
+  const attempts = [];
+  for (const candidate of candidates) {
+    const outcome = await launchCandidate(candidate);
+    attempts.push({ ...candidate, ...outcome });
+    if (outcome.ok) return { ok: true, command: candidate, attempts };
+  }
+  return { ok: false, command: null, attempts };
+}
+
+function launchFailure(launch) {
+  if (launch.attempts.length === 0) return "no launch command available";
+  return launch.attempts
+    .map((attempt) => `${formatCommand(attempt)}: ${attempt.error}`)
+    .join("; ");
+}
+
+// Running commands in repositories
+const DEFAULT_RUN_TIMEOUT_MS = 60 * 1000;
+const MAX_RUN_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_OUTPUT = 32 * 1024;
+const KILL_GRACE_MS = 2000;
+
+// Commands may only run when store.policy.allowedCommands lists them. Each
+// entry is a command prefix such as "npm test" or "git status"; "*" allows
+// any command.
+function allowedCommands(store) {
+  return (store.policy && store.policy.allowedCommands) || [];
+}
+
+function assertCommandAllowed(store, argv) {
+  const allowed = allowedCommands(store);
+  if (allowed.length === 0) {
+    throw new ToolError(
+      "COMMAND_NOT_ALLOWED",
+      "No commands are allowed to run. List them in policy.allowedCommands in ~/.openmate/repos.json."
+    );
+  }
+
+  const matches = allowed.some((entry) => {
+    if (entry.trim() === "*") return true;
+    const prefix = entry.trim().split(/\s+/);
+    return prefix.every((token, i) => argv[i] === token);
+  });
+  if (!matches) {
+    throw new ToolError(
+      "COMMAND_NOT_ALLOWED",
+      `Command is not in the allowed commands (${allowed.join(
+        ", "
+      )}): ${argv.join(" ")}`
+    );
+  }
+}
+
+// Resolve the program the way a shell would: relative to the repository when
+// it contains a path separator, otherwise on PATH (with PATHEXT on Windows)
+function resolveProgram(cmd, cwd) {
+  if (/[\\/]/.test(cmd)) return path.resolve(cwd, cmd);
+  return findOnPath(cmd) || cmd;
+}
+
+// Kill the command together with anything it started
+function killTree(child, signal) {
+  try {
+    if (process.platform === "win32") {
+      spawn("taskkill", ["/pid", String(child.pid), "/T", "/F"], {
+        stdio: "ignore",
+        windowsHide: true,
+      });
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch (e) {
+    // Already gone
+  }
+}
+
+/**
+ * Run a command without a shell and capture its output. Resolves to
+ * { exitCode, signal, timedOut, durationMs, stdout, stderr, truncated, error }
+ * and never rejects; each stream keeps at most maxOutput bytes.
+ */
+function runCommand(argv, { cwd, timeoutMs, maxOutput }) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const output = { stdout: [], stderr: [] };
+    const size = { stdout: 0, stderr: 0 };
+    let truncated = false;
+    let timedOut = false;
+    let settled = false;
+    let timer = null;
+    let killTimer = null;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      resolve({
+        exitCode: null,
+        signal: null,
+        timedOut,
+        durationMs: Date.now() - started,
+        stdout: Buffer.concat(output.stdout).toString("utf8"),
+        stderr: Buffer.concat(output.stderr).toString("utf8"),
+        truncated,
+        error: null,
+        ...result,
+      });
+    };
+
+    let child;
+    try {
+      const command = spawnCommand(resolveProgram(argv[0], cwd), argv.slice(1));
+      child = spawn(command.cmd, command.args, {
+        cwd,
+        stdio: ["ignore", "pipe", "pipe"],
+        detached: process.platform !== "win32",
+        windowsHide: true,
+        ...command.options,
+      });
+    } catch (e) {
+      finish({ error: e.message });
+      return;
+    }
+
+    for (const stream of ["stdout", "stderr"]) {
+      child[stream].on("data", (chunk) => {
+        const room = maxOutput - size[stream];
+        if (room <= 0) {
+          truncated = true;
+          return;
+        }
+        if (chunk.length > room) truncated = true;
+        const kept = chunk.subarray(0, room);
+        output[stream].push(kept);
+        size[stream] += kept.length;
+      });
+    }
+
+    timer = setTimeout(() => {
+      timedOut = true;
+      killTree(child, "SIGTERM");
+      killTimer = setTimeout(() => killTree(child, "SIGKILL"), KILL_GRACE_MS);
+    }, timeoutMs);
+
+    child.on("error", (e) =>
+      finish({ error: e.code === "ENOENT" ? "command not found" : e.message })
+    );
+    child.on("close", (exitCode, signal) => finish({ exitCode, signal }));
+  });
+}
+
+// Map over items running at most limit calls at a time, keeping order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+function runStatus(run) {
+  if (run.error) return "error";
+  if (run.timedOut) return "timed-out";
+  return run.exitCode === 0 ? "ok" : "failed";
+}
+
+function runSummary(run) {
+  const seconds = (run.durationMs / 1000).toFixed(1);
+  if (run.error) return `error: ${run.error}`;
+  if (run.timedOut) return `timed out after ${seconds}s`;
+  if (run.signal) return `killed by ${run.signal} after ${seconds}s`;
+  return `exit ${run.exitCode} in ${seconds}s`;
+}
+
+function runOutputText(run) {
+  let text = "";
+  if (run.stdout) text += `--- stdout ---\n${run.stdout.trimEnd()}\n`;
+  if (run.stderr) text += `--- stderr ---\n${run.stderr.trimEnd()}\n`;
+  if (run.truncated) text += "(output truncated)\n";
+  return text;
+}
+
+// Read package.json using ES modules
+const pkg = JSON.parse(
+  await fs.promises.readFile(new URL("../package.json", import.meta.url))
+);
+
+// Output schemas
+const resolvedFromSchema = z
+  .string()
+  .optional()
+  .describe("The name as given, when it was resolved by a fuzzy match");
+
+const repoEntrySchema = z.object({
+  name: z.string(),
+  path: z.string(),
+  ide: z.string().nullable(),
+  addedAt: z.string().nullable(),
+  description: z.string().nullable(),
+  tags: z.array(z.string()),
+});
+
+const usageSchema = z.object({
+  lastOpenedAt: z.string().nullable(),
+  openCount: z.number(),
+  lastIde: z.string().nullable(),
+});
+
+const collectionEntrySchema = z.object({
+  name: z.string(),
+  key: z.string(),
+  repos: z.array(z.string()),
+  ide: z.string().nullable(),
+  openMode: z.enum(OPEN_MODES).nullable(),
+});
+
+const repoStatusSchema = z.object({
+  name: z.string(),
+  state: z.enum([
+    "git",
+    "not-git",
+    "missing",
+    "not-a-directory",
+    "not-in-store",
+    "error",
+  ]),
+  path: z.string().nullable(),
+  branch: z.string().nullable().optional(),
+  detached: z.boolean().optional(),
+  upstream: z.string().nullable().optional(),
+  ahead: z.number().optional(),
+  behind: z.number().optional(),
+  dirty: z.number().optional(),
+  untracked: z.number().optional(),
+  lastCommit: z
+    .object({ subject: z.string(), date: z.string() })
+    .nullable()
+    .optional(),
+  error: z.string().optional(),
+});
+
+const commandSchema = z.object({
+  cmd: z.string(),
+  args: z.array(z.string()),
+});
+
+const dryRunParam = z
+  .boolean()
+  .optional()
+  .describe(
+    "Optional: Return the commands that would be launched, in order, without launching anything"
+  );
+
+function isDryRun(dryRun) {
+  return DRY_RUN || Boolean(dryRun);
+}
+
+function repoEntry(name, repoData) {
+  return {
+    name,
+    path: repoData.path,
+    ide: repoData.ide || null,
+    addedAt: repoData.addedAt || null,
+    description: repoData.description || null,
+    tags: repoData.tags || [],
+  };
+}
+
+// Split a comma-separated list of tags into trimmed, lowercase, unique tags
+function parseTags(tags) {
+  return [
+    ...new Set(
+      tags
+        .split(",")
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+function tagsText(tags) {
+  return tags.length > 0 ? ` [${tags.join(", ")}]` : "";
+}
+
+function collectionEntry(key, collection) {
+  return {
+    name: collection.name || key,
+    key,
+    repos: collection.repos,
+    ide: collection.ide || null,
+    openMode: collection.openMode || null,
+  };
+}
+
+// Tools and resources are defined once and registered on a new McpServer for
+// every session: one over stdio, or one per client in HTTP mode
+const toolDefinitions = [];
+const resourceDefinitions = [];
+const sessions = new Set();
+const sessionContext = new AsyncLocalStorage();
+
+function defineTool(name, config, callback) {
+  toolDefinitions.push({ name, config, callback });
+}
+
+// For tools whose input schema lists the registered IDEs: inputSchema is a
+// function, so the schema can be rebuilt when the registry changes
+function defineIdeTool(name, config, callback) {
+  toolDefinitions.push({ name, config, callback, ide: true });
+}
+
+function defineResource(...args) {
+  resourceDefinitions.push(args);
+}
+
+function createServer() {
+  const server = new McpServer({
+    name: "openmate-mcp",
+    version: pkg.version,
+  });
+  const session = { server, ideTools: new Map(), subscribedUris: new Set() };
+
+  for (const { name, config, callback, ide } of toolDefinitions) {
+    const tool = server.registerTool(
+      name,
+      ide ? { ...config, inputSchema: config.inputSchema() } : config,
+      // Lets clientName() tell which session a call came from
+      (...args) => sessionContext.run(session, () => callback(...args))
+    );
+    if (ide) session.ideTools.set(tool, config.inputSchema);
+  }
+  for (const args of resourceDefinitions) {
+    server.registerResource(...args);
+  }
+
+  // Resource subscriptions
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    session.subscribedUris.add(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    session.subscribedUris.delete(request.params.uri);
+    return {};
+  });
+
+  sessions.add(session);
+  server.server.onclose = () => sessions.delete(session);
+  return server;
+}
+
+// Name of the connected client, recorded in the change journal
+function clientName() {
+  const session = sessionContext.getStore();
+  const client = session && session.server.server.getClientVersion();
+  return client ? client.name : null;
+}
+
+function refreshIdeTools() {
+  detectionCache = null;
+  for (const { ideTools } of sessions) {
+    for (const [tool, inputSchema] of ideTools) {
+      tool.update({ paramsSchema: inputSchema() });
+    }
+  }
+}
+
+defineTool(
+  "show-version",
+  {
+    description: "Show the version of openmate-mcp or om-mcp",
+    outputSchema: { version: z.string() },
+  },
+  async () => {
+    return toolResult(`OpenMate MCP version: ${pkg.version}`, {
+      version: pkg.version,
+    });
+  }
+);
+
+// Show default IDE
+defineTool(
+  "show-default-ide",
+  {
+    description:
+      "Show which IDE a repository or collection opens in when none is given, and which setting decided it: repository, collection, project type or global default",
+    inputSchema: {
+      name: z
+        .string()
+        .optional()
+        .describe(
+          "The name of the repository or collection to check (optional)"
+        ),
+    },
+    outputSchema: {
+      name: z.string().nullable(),
+      kind: z.enum(["repo", "collection"]).nullable(),
+      ide: z.string(),
+      source: z.enum(IDE_SOURCES),
+      reason: z.string(),
+      chain: z.array(
+        z.object({
+          source: z.enum(IDE_SOURCES),
+          ide: z.string().nullable(),
+          reason: z.string(),
+        })
+      ),
+      resolvedFrom: resolvedFromSchema,
+    },
+  },
+  async ({ name }) => {
+    try {
+      const store = loadStore();
+      let kind = null;
+      let resolved = null;
+      let choice;
+
+      if (!name) {
+        choice = resolveIde(store);
+      } else {
+        resolved = resolveName(store, name, "repos");
+        kind = "repo";
+        // An exact collection name beats a fuzzy repository match
+        if (
+          !resolved.key ||
+          (resolved.fuzzy && store.collections[normalizeName(name)])
+        ) {
+          const collectionResolved = resolveName(store, name, "collections");
+          if (!collectionResolved.key) {
+            return notFoundError(
+              "Repository or collection",
+              "NOT_FOUND",
+              name,
+              resolved
+            );
+          }
+          resolved = collectionResolved;
+          kind = "collection";
+        }
+        choice = resolveIde(
+          store,
+          kind === "repo"
+            ? { repoKey: resolved.key }
+            : { collectionKey: resolved.key }
+        );
+      }
+
+      // Nothing is passed explicitly here, so the argument link is noise
+      const chain = choice.chain.filter(({ source }) => source !== "argument");
+      let output = name
+        ? `${resolvedNote(name, resolved)}Default IDE for '${resolved.key}': ${
+            choice.ide
+          }`
+        : `Global default IDE: ${choice.ide}`;
+      output += `\nDecided by: ${choice.source} (${choice.reason})\n\nResolution chain:\n`;
+      output += chain
+        .map(
+          (link, index) =>
+            `${index + 1}. ${link.source}: ${link.ide || "-"} (${link.reason})${
+              link === chain[chain.length - 1] ? " ← used" : ""
+            }`
+        )
+        .join("\n");
+
+      return toolResult(output, {
+        name: resolved ? resolved.key : null,
+        kind,
+        ide: choice.ide,
+        source: choice.source,
+        reason: choice.reason,
+        chain,
+        ...(resolved ? resolvedFrom(name, resolved) : {}),
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Sorting for list-repos and recent. Usage fields sort most recent or most
+// opened first unless an order is given.
+const LIST_SORT_KEYS = ["name", "addedAt", "lastOpenedAt", "openCount"];
+
+function sortEntries(entries, sort, order) {
+  if (!sort) return entries;
+  const direction =
+    (order ||
+      (["lastOpenedAt", "openCount"].includes(sort) ? "desc" : "asc")) ===
+    "desc"
+      ? -1
+      : 1;
+  return [...entries].sort((a, b) => {
+    const cmp =
+      sort === "openCount"
+        ? (a.openCount || 0) - (b.openCount || 0)
+        : String(a[sort] || "").localeCompare(String(b[sort] || ""));
+    return direction * cmp;
+  });
+}
+
+// List repositories and collections
+defineTool(
+  "list-repos",
+  {
+    description:
+      "List all repositories and collections from openmate using openmate-mcp or om-mcp",
+    inputSchema: {
+      type: z
+        .enum(["all", "repos", "collections"])
+        .optional()
+        .default("all")
+        .describe("What to list: all, repos only, or collections only"),
+      sort: z
+        .enum(LIST_SORT_KEYS)
+        .optional()
+        .describe(
+          "Optional: Sort by name, addedAt, lastOpenedAt or openCount (default: the order they were added)"
+        ),
+      order: z
+        .enum(["asc", "desc"])
+        .optional()
+        .describe(
+          "Optional: Sort order (default: asc for name and addedAt, desc for lastOpenedAt and openCount)"
+        ),
+    },
+    outputSchema: {
+      repos: z.array(repoEntrySchema.merge(usageSchema)).optional(),
+      collections: z.array(collectionEntrySchema.merge(usageSchema)).optional(),
+    },
+  },
+  async ({ type = "all", sort, order }) => {
+    try {
+      const store = loadStore();
+      const usage = loadUsage();
+      const structured = {};
+      let output = "";
+
+      if (type === "all" || type === "repos") {
+        structured.repos = sortEntries(
+          Object.entries(store.repos).map(([name, data]) => ({
+            ...repoEntry(name, data),
+            ...usageEntry(usage.repos[name]),
+          })),
+          sort,
+          order
+        );
+        if (structured.repos.length > 0) {
+          output += "📁 Repositories:\n";
+          structured.repos.forEach(
+            ({ name, path: repoPath, ide, tags }, index) => {
+              const ideStr = ide ? ` (IDE: ${ide})` : "";
+              output += `  ${
+                index + 1
+              }. ${name} -> ${repoPath}${ideStr}${tagsText(tags)}\n`;
+            }
+          );
+          output += "\n";
+        } else {
+          output += "📁 No repositories found\n\n";
+        }
+      }
+
+      if (type === "all" || type === "collections") {
+        structured.collections = sortEntries(
+          Object.entries(store.collections).map(([key, collection]) => ({
+            ...collectionEntry(key, collection),
+            ...usageEntry(usage.collections[key]),
+          })),
+          sort,
+          order
+        );
+        if (structured.collections.length > 0) {
+          output += "📚 Collections:\n";
+          structured.collections.forEach(({ name, repos, ide }, index) => {
+            const ideStr = ide ? ` (IDE: ${ide})` : "";
+            output += `  ${index + 1}. ${name} (${
+              repos.length
+            } repos)${ideStr}\n`;
+          });
+        } else {
+          output += "📚 No collections found\n";
+        }
+      }
+
+      if (!output) {
+        output = "No repositories or collections found.";
+      }
+
+      return toolResult(output, structured);
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Recently or frequently opened repositories and collections
+defineTool(
+  "recent",
+  {
+    description:
+      "Show the most recently (or most frequently) opened repositories and collections using openmate-mcp or om-mcp",
+    inputSchema: {
+      by: z
+        .enum(["recent", "frequent"])
+        .optional()
+        .default("recent")
+        .describe("Order by last opened time or by number of opens"),
+      type: z
+        .enum(["all", "repos", "collections"])
+        .optional()
+        .default("all")
+        .describe("What to list: all, repos only, or collections only"),
+      since: z
+        .string()
+        .optional()
+        .describe(
+          "Optional: Only entries opened since this time, as an ISO date or a duration such as 24h or 7d"
+        ),
+      limit: z
+        .number()
+        .int()
+        .min(1)
+        .optional()
+        .default(10)
+        .describe("Maximum number of repositories and of collections"),
+    },
+    outputSchema: {
+      repos: z.array(repoEntrySchema.merge(usageSchema)).optional(),
+      collections: z.array(collectionEntrySchema.merge(usageSchema)).optional(),
+    },
+  },
+  async ({ by = "recent", type = "all", since, limit = 10 }) => {
+    try {
+      let sinceTime = null;
+      if (since) {
+        const duration = since.trim().match(/^(\d+)\s*([hd])$/i);
+        sinceTime = duration
+          ? Date.now() -
+            Number(duration[1]) *
+              (duration[2].toLowerCase() === "d" ? 24 : 1) *
+              60 *
+              60 *
+              1000
+          : Date.parse(since);
+        if (Number.isNaN(sinceTime)) {
+          return toolError(
+            "INVALID_ARGUMENT",
+            `Invalid since '${since}'. Use an ISO date or a duration such as 24h or 7d.`
+          );
+        }
+      }
+
+      const store = loadStore();
+      const usage = loadUsage();
+      const pick = (entries) =>
+        sortEntries(
+          entries.filter(
+            ({ openCount, lastOpenedAt }) =>
+              openCount > 0 &&
+              (sinceTime === null || Date.parse(lastOpenedAt) >= sinceTime)
+          ),
+          by === "recent" ? "lastOpenedAt" : "openCount"
+        ).slice(0, limit);
+
+      const structured = {};
+      let output = "";
+      const line = ({ name, openCount, lastOpenedAt, lastIde }) =>
+        `  ${name} - opened ${openCount} time${
+          openCount === 1 ? "" : "s"
+        }, last ${lastOpenedAt}${lastIde ? ` in ${lastIde}` : ""}\n`;
+
+      if (type === "all" || type === "repos") {
+        structured.repos = pick(
+          Object.entries(store.repos).map(([name, data]) => ({
+            ...repoEntry(name, data),
+            ...usageEntry(usage.repos[name]),
+          }))
+        );
+        output += structured.repos.length
+          ? `🕘 Repositories:\n${structured.repos.map(line).join("")}\n`
+          : "🕘 No recently opened repositories\n\n";
+      }
+
+      if (type === "all" || type === "collections") {
+        structured.collections = pick(
+          Object.entries(store.collections).map(([key, collection]) => ({
+            ...collectionEntry(key, collection),
+            ...usageEntry(usage.collections[key]),
+          }))
+        );
+        output += structured.collections.length
+          ? `🕘 Collections:\n${structured.collections.map(line).join("")}`
+          : "🕘 No recently opened collections\n";
+      }
+
+      return toolResult(output.trimEnd(), structured);
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Add a new repository
+defineTool(
+  "add-repo",
+  {
+    description:
+      "Add a new repository to OpenMate using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The name to identify this repository"),
+      path: z.string().min(1).describe("The filesystem path to the repository"),
+      description: z
+        .string()
+        .optional()
+        .describe("Optional: A short description of the repository"),
+      tags: z
+        .string()
+        .optional()
+        .describe(
+          "Optional: Comma-separated tags, e.g. backend,team-payments,python"
+        ),
+    },
+    outputSchema: repoEntrySchema.shape,
+  },
+  async ({ name, path: repoPath, description, tags }) => {
+    try {
+      return await updateStore({ tool: "add-repo" }, (store) => {
+        const normalized = normalizeName(name);
+
+        if (store.repos[normalized]) {
+          return toolError(
+            "REPO_EXISTS",
+            `Repository '${name}' already exists`
+          );
+        }
+
+        const resolvedPath = resolveRepoPath(repoPath);
+        assertPathAllowed(store, resolvedPath);
+
+        store.repos[normalized] = {
+          path: resolvedPath,
+          addedAt: new Date().toISOString(),
+        };
+        if (description) store.repos[normalized].description = description;
+        if (tags && parseTags(tags).length > 0) {
+          store.repos[normalized].tags = parseTags(tags);
+        }
+
+        return toolResult(
+          `✅ Added repository '${name}' -> '${resolvedPath}'`,
+          repoEntry(normalized, store.repos[normalized])
+        );
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Update a repository's details
+defineTool(
+  "update-repo",
+  {
+    description:
+      "Update the path, description or tags of a repository using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the repository to update"),
+      path: z
+        .string()
+        .min(1)
+        .optional()
+        .describe("Optional: A new filesystem path for the repository"),
+      description: z
+        .string()
+        .optional()
+        .describe("Optional: A new description (an empty string clears it)"),
+      tags: z
+        .string()
+        .optional()
+        .describe(
+          "Optional: Comma-separated tags replacing the current ones (an empty string clears them)"
+        ),
+      addTags: z
+        .string()
+        .optional()
+        .describe("Optional: Comma-separated tags to add"),
+      removeTags: z
+        .string()
+        .optional()
+        .describe("Optional: Comma-separated tags to remove"),
+    },
+    outputSchema: repoEntrySchema.shape,
+  },
+  async ({ name, path: repoPath, description, tags, addTags, removeTags }) => {
+    try {
+      return await updateStore({ tool: "update-repo" }, (store) => {
+        const resolved = resolveName(store, name, "repos", {
+          autoResolve: false,
+        });
+        if (!resolved.key) {
+          return notFoundError("Repository", "REPO_NOT_FOUND", name, resolved);
+        }
+
+        const repoData = store.repos[resolved.key];
+        if (repoPath !== undefined) {
+          const resolvedPath = resolveRepoPath(repoPath);
+          assertPathAllowed(store, resolvedPath);
+          repoData.path = resolvedPath;
+        }
+
+        if (description !== undefined) {
+          if (description.trim()) repoData.description = description.trim();
+          else delete repoData.description;
+        }
+
+        let nextTags = repoData.tags || [];
+        if (tags !== undefined) nextTags = parseTags(tags);
+        if (addTags !== undefined) {
+          nextTags = [...new Set([...nextTags, ...parseTags(addTags)])];
+        }
+        if (removeTags !== undefined) {
+          const removed = parseTags(removeTags);
+          nextTags = nextTags.filter((tag) => !removed.includes(tag));
+        }
+        if (nextTags.length > 0) repoData.tags = nextTags;
+        else delete repoData.tags;
+
+        const entry = repoEntry(resolved.key, repoData);
+        return toolResult(
+          `✅ Updated repository '${resolved.key}' -> ${entry.path}${tagsText(
+            entry.tags
+          )}`,
+          entry
+        );
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Search repositories
+const REPO_SORT_KEYS = ["name", "path", "addedAt"];
+
+defineTool(
+  "search-repos",
+  {
+    description:
+      "Find repositories by name or description, tags, path prefix and preferred IDE using openmate-mcp or om-mcp",
+    inputSchema: {
+      query: z
+        .string()
+        .optional()
+        .describe(
+          "Optional: Text to look for in the name or description (case-insensitive)"
+        ),
+      tags: z
+        .string()
+        .optional()
+        .describe(
+          "Optional: Comma-separated tags the repository must all have"
+        ),
+      pathPrefix: z
+        .string()
+        .optional()
+        .describe("Optional: Only repositories inside this directory"),
+      ide: z
+        .string()
+        .optional()
+        .describe("Optional: Only repositories with this preferred IDE"),
+      sort: z
+        .enum(REPO_SORT_KEYS)
+        .optional()
+        .default("name")
+        .describe("Sort by name, path or addedAt"),
+      order: z
+        .enum(["asc", "desc"])
+        .optional()
+        .default("asc")
+        .describe("Sort order"),
+      limit: z
+        .number()
+        .int()
+        .min(1)
+        .optional()
+        .describe("Optional: Maximum number of results"),
+    },
+    outputSchema: {
+      total: z.number(),
+      repos: z.array(repoEntrySchema),
+    },
+  },
+  async ({
+    query,
+    tags,
+    pathPrefix,
+    ide,
+    sort = "name",
+    order = "asc",
+    limit,
+  }) => {
+    try {
+      const store = loadStore();
+      const text = query ? query.trim().toLowerCase() : "";
+      const wantedTags = tags ? parseTags(tags) : [];
+      const root = pathPrefix
+        ? realPath(
+            path.resolve(pathPrefix.replace(/^~(?=$|[\\/])/, os.homedir()))
+          )
+        : null;
+
+      const matches = Object.entries(store.repos)
+        .map(([name, data]) => repoEntry(name, data))
+        .filter(
+          (repo) =>
+            (!text ||
+              repo.name.includes(text) ||
+              (repo.description || "").toLowerCase().includes(text)) &&
+            wantedTags.every((tag) => repo.tags.includes(tag)) &&
+            (!root || isInside(root, realPath(repo.path))) &&
+            (!ide || repo.ide === ide)
+        )
+        .sort((a, b) => {
+          const cmp = String(a[sort] || "").localeCompare(
+            String(b[sort] || "")
+          );
+          return order === "desc" ? -cmp : cmp;
+        });
+      const repos = limit ? matches.slice(0, limit) : matches;
+
+      if (repos.length === 0) {
+        return toolResult("🔍 No matching repositories found", {
+          total: 0,
+          repos,
+        });
+      }
+
+      let output = `🔍 Found ${matches.length} repositories`;
+      output +=
+        repos.length < matches.length ? ` (showing ${repos.length}):\n` : ":\n";
+      repos.forEach(({ name, path: repoPath, description, tags: repoTags }) => {
+        const descriptionStr = description ? ` - ${description}` : "";
+        output += `  ${name} -> ${repoPath}${tagsText(
+          repoTags
+        )}${descriptionStr}\n`;
+      });
+
+      return toolResult(output.trimEnd(), { total: matches.length, repos });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Discover and register repositories under a root directory
+defineTool(
+  "scan-repos",
+  {
+    description:
+      "Scan a directory for git repositories and register them in bulk using openmate-mcp or om-mcp",
+    inputSchema: {
+      root: z
+        .string()
+        .min(1)
+        .describe("The directory to scan for repositories"),
+      maxDepth: z
+        .number()
+        .int()
+        .min(0)
+        .max(10)
+        .optional()
+        .default(3)
+        .describe("How many directory levels below the root to search"),
+      ignore: z
+        .string()
+        .optional()
+        .describe(
+          `Comma-separated directory name patterns to skip (supports * and ?). Default: ${DEFAULT_SCAN_IGNORE.join(
+            ", "
+          )}`
+        ),
+      preview: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe("Only list what would be added without changing the store"),
+      collection: z
+        .string()
+        .optional()
+        .describe(
+          "Optional: Create a collection with this name from the discovered repositories"
+        ),
+    },
+    outputSchema: {
+      root: z.string(),
+      preview: z.boolean(),
+      discovered: z.number(),
+      added: z.array(
+        z.object({
+          name: z.string(),
+          path: z.string(),
+          collision: z.string().nullable(),
+        })
+      ),
+      existing: z.array(z.string()),
+      skipped: z.array(z.object({ path: z.string(), error: z.string() })),
+      collection: z.string().nullable(),
+    },
+  },
+  async ({ root, maxDepth = 3, ignore, preview = false, collection }) => {
+    try {
+      return await updateStore({ tool: "scan-repos" }, (store) => {
+        const rootPath = resolveRepoPath(root);
+        const ignoreList = ignore
+          ? ignore
+              .split(",")
+              .map((p) => p.trim())
+              .filter(Boolean)
+          : DEFAULT_SCAN_IGNORE;
+
+        const collectionKey = collection ? normalizeName(collection) : null;
+        if (collectionKey && store.collections[collectionKey]) {
+          return toolError(
+            "COLLECTION_EXISTS",
+            `Collection '${collection}' already exists`
+          );
+        }
+
+        const discovered = findGitRepos(rootPath, {
+          maxDepth,
+          ignore: ignoreList,
+        });
+
+        const registeredByPath = new Map();
+        for (const [repoName, data] of Object.entries(store.repos)) {
+          const repoPath = data.path;
+          registeredByPath.set(path.resolve(repoPath), repoName);
+        }
+
+        const takenNames = new Set(Object.keys(store.repos));
+        const toAdd = [];
+        const existing = [];
+        const failed = [];
+        let output = "";
+
+        for (const repoPath of discovered) {
+          const registeredAs = registeredByPath.get(repoPath);
+          if (registeredAs) {
+            existing.push(registeredAs);
+            continue;
+          }
+          try {
+            const resolvedPath = resolveRepoPath(repoPath);
+            assertPathAllowed(store, resolvedPath);
+            const { name, collision } = proposeRepoName(
+              resolvedPath,
+              takenNames
+            );
+            takenNames.add(name);
+            toAdd.push({ name, path: resolvedPath, collision });
+          } catch (e) {
+            failed.push({ path: repoPath, error: e.message });
+          }
+        }
+
+        const memberNames = [...toAdd.map((r) => r.name), ...existing];
+        const createCollection = collectionKey && memberNames.length > 0;
+        const structured = {
+          root: rootPath,
+          preview,
+          discovered: discovered.length,
+          added: toAdd,
+          existing,
+          skipped: failed,
+          collection: createCollection ? collectionKey : null,
+        };
+
+        if (discovered.length === 0) {
+          return toolResult(
+            `📁 No git repositories found under ${rootPath}`,
+            structured
+          );
+        }
+
+        output += `${preview ? "🔍 Preview: " : ""}Found ${
+          discovered.length
+        } repositories under ${rootPath}\n\n`;
+
+        if (toAdd.length > 0) {
+          output += preview ? "Would add:\n" : "✅ Added:\n";
+          toAdd.forEach(({ name, path: repoPath, collision }) => {
+            const note = collision ? ` ('${collision}' is already taken)` : "";
+            output += `  ${name} -> ${repoPath}${note}\n`;
+          });
+          output += "\n";
+        }
+
+        if (existing.length > 0) {
+          output += `➖ Already registered: ${existing.join(", ")}\n\n`;
+        }
+
+        if (failed.length > 0) {
+          output += "❌ Skipped:\n";
+          failed.forEach(({ path: repoPath, error }) => {
+            output += `  ${repoPath}: ${error}\n`;
+          });
+          output += "\n";
+        }
+
+        if (createCollection) {
+          output += `${
+            preview ? "Would create" : "✅ Created"
+          } collection '${collection}' with ${memberNames.length} repos\n`;
+        }
+
+        if (!preview && (toAdd.length > 0 || createCollection)) {
+          const now = new Date().toISOString();
+          toAdd.forEach(({ name, path: repoPath }) => {
+            store.repos[name] = { path: repoPath, addedAt: now };
+          });
+          if (createCollection) {
+            store.collections[collectionKey] = {
+              name: collection,
+              repos: memberNames,
+              createdAt: now,
+            };
+          }
+        }
+
+        return toolResult(output.trimEnd(), structured);
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Clone a repository and register it
+const DEFAULT_CLONE_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_CLONE_TIMEOUT_MS = 60 * 60 * 1000;
+
+function isEmptyDir(dir) {
+  try {
+    return fs.readdirSync(dir).length === 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+defineIdeTool(
+  "clone-repo",
+  {
+    description:
+      "Clone a git repository and register it in OpenMate, optionally adding it to a collection and opening it, using openmate-mcp or om-mcp",
+    inputSchema: () => ({
+      url: z
+        .string()
+        .min(1)
+        .describe("The git URL to clone (https, ssh, file:// or a local path)"),
+      destination: z
+        .string()
+        .optional()
+        .describe(
+          "Optional: The directory to clone into (must not exist or be empty). Defaults to <clone root>/<name>."
+        ),
+      name: z
+        .string()
+        .optional()
+        .describe(
+          "Optional: The name to register it under (defaults to the repository name in the URL)"
+        ),
+      collection: z
+        .string()
+        .optional()
+        .describe("Optional: An existing collection to add it to"),
+      open: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe("Open it after cloning"),
+      ide: ideParam(
+        "IDE to open it in (defaults to the collection's, then the global preferred IDE)"
+      ).optional(),
+      timeoutMs: z
+        .number()
+        .int()
+        .min(1)
+        .max(MAX_CLONE_TIMEOUT_MS)
+        .optional()
+        .default(DEFAULT_CLONE_TIMEOUT_MS)
+        .describe("Give up on the clone after this many milliseconds"),
+    }),
+    outputSchema: {
+      ...repoEntrySchema.shape,
+      url: z.string(),
+      collection: z.string().nullable(),
+      opened: z.boolean(),
+      command: commandSchema.optional(),
+      plan: z.array(commandSchema).optional(),
+    },
+  },
+  async ({
+    url,
+    destination,
+    name,
+    collection,
+    open = false,
+    ide,
+    timeoutMs = DEFAULT_CLONE_TIMEOUT_MS,
+  }) => {
+    try {
+      if (url.startsWith("-")) {
+        return toolError("INVALID_ARGUMENT", `Invalid git URL: ${url}`);
+      }
+
+      const store = loadStore();
+      const normalized = normalizeName(name || repoNameFromUrl(url));
+      if (!normalized) {
+        return toolError(
+          "INVALID_ARGUMENT",
+          `Cannot derive a repository name from '${url}'. Pass a name.`
+        );
+      }
+      if (store.repos[normalized]) {
+        return toolError(
+          "REPO_EXISTS",
+          `Repository '${normalized}' already exists`
+        );
+      }
+
+      const collectionKey = collection ? normalizeName(collection) : null;
+      if (collectionKey && !store.collections[collectionKey]) {
+        const resolved = resolveName(store, collection, "collections", {
+          autoResolve: false,
+        });
+        return notFoundError(
+          "Collection",
+          "COLLECTION_NOT_FOUND",
+          collection,
+          resolved
+        );
+      }
+
+      let target;
+      if (destination) {
+        target = path.resolve(
+          destination.replace(/^~(?=$|[\\/])/, os.homedir())
+        );
+      } else if (store.clone_root) {
+        target = path.join(store.clone_root, normalized);
+      } else {
+        return toolError(
+          "INVALID_ARGUMENT",
+          "No destination given and no clone root configured. Pass a destination or use set-clone-root."
+        );
+      }
+      if (fs.existsSync(target) && !isEmptyDir(target)) {
+        return toolError(
+          "DESTINATION_NOT_EMPTY",
+          `Destination exists and is not an empty directory: ${target}`,
+          { path: target }
+        );
+      }
+      assertPathAllowed(store, target);
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      try {
+        await cloneRepo(url, target, { timeoutMs });
+      } catch (e) {
+        return toolError(
+          "CLONE_FAILED",
+          `Could not clone ${url}: ${gitError(e)}`,
+          { url, path: target }
+        );
+      }
+
+      const result = await updateStore({ tool: "clone-repo" }, (current) => {
+        if (current.repos[normalized]) {
+          return toolError(
+            "REPO_EXISTS",
+            `Repository '${normalized}' was registered while cloning. The clone was kept at ${target}.`
+          );
+        }
+        current.repos[normalized] = {
+          path: target,
+          addedAt: new Date().toISOString(),
+        };
+        if (collectionKey && current.collections[collectionKey]) {
+          const members = current.collections[collectionKey].repos;
+          if (!members.includes(normalized)) members.push(normalized);
+        }
+
+        return toolResult(
+          `✅ Cloned ${url} into '${target}' and added repository '${normalized}'${
+            collectionKey ? ` to collection '${collectionKey}'` : ""
+          }`,
           {
-            type: "text",
-            text: `✅ Added repository '${name}' -> '${resolvedPath}'`,
-          },
-        ],
-      };
+            ...repoEntry(normalized, current.repos[normalized]),
+            url,
+            collection: collectionKey,
+            opened: false,
+          }
+        );
+      });
+      if (result.isError || !open) return result;
+
+      // The repository is registered either way, so opening problems are
+      // reported as warnings rather than errors
+      const targetIde = resolveIde(loadStore(), {
+        ide,
+        repoKey: normalized,
+        collectionKey,
+      }).ide;
+      const editor = loadEditors()[targetIde];
+      let warning = null;
+      if (!editor) {
+        warning = `Unknown IDE '${targetIde}', so it was not opened`;
+      } else if (DRY_RUN) {
+        const detection = detectIde(targetIde);
+        const plan = launchPlan(editor, detection, target);
+        result.content[0].text += `\n📝 Dry run: would open it in ${
+          editor.name
+        }\n${planText(plan)}${notInstalledWarning(editor, detection)}`;
+        result.structuredContent.plan = plan;
+      } else {
+        const detection = detectIde(targetIde);
+        const launch = detection.installed
+          ? await openInIde(detection, target)
+          : null;
+        if (!detection.installed) {
+          warning = `${editor.name} is not installed, so it was not opened`;
+        } else if (!launch.ok) {
+          warning = `Could not open it in ${editor.name}: ${launchFailure(
+            launch
+          )}`;
+        } else {
+          await recordOpen("repos", [normalized], targetIde);
+          result.content[0].text += `\n🚀 Opened in ${
+            editor.name
+          }\nCommand: ${formatCommand(launch.command)}`;
+          result.structuredContent.opened = true;
+          result.structuredContent.command = launch.command;
+        }
+      }
+      if (warning) result.content[0].text += `\n⚠️ ${warning}`;
+      return result;
     } catch (error) {
-      return {
-        content: [{ type: "text", text: `❌ Error: ${error.message}` }],
-      };
+      return errorResult(error);
+    }
+  }
+);
+
+// Set the default clone destination
+defineTool(
+  "set-clone-root",
+  {
+    description:
+      "Set the directory clone-repo clones into when no destination is given",
+    inputSchema: {
+      path: z.string().min(1).describe("An existing directory"),
+    },
+    outputSchema: { path: z.string() },
+  },
+  async ({ path: rootPath }) => {
+    try {
+      return await updateStore({ tool: "set-clone-root" }, (store) => {
+        const resolvedPath = resolveRepoPath(rootPath);
+        assertPathAllowed(store, resolvedPath);
+        store.clone_root = resolvedPath;
+        return toolResult(`✅ Set clone root to '${resolvedPath}'`, {
+          path: resolvedPath,
+        });
+      });
+    } catch (error) {
+      return errorResult(error);
     }
   }
 );
 
 // Get repository path
-server.tool(
+defineTool(
   "get-repo",
-  "Get the path of a repository by name using openmate-mcp or om-mcp",
   {
-    name: z.string().min(1).describe("The name of the repository to look up"),
+    description:
+      "Get the path of a repository by name using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the repository to look up"),
+    },
+    outputSchema: {
+      ...repoEntrySchema.shape,
+      resolvedFrom: resolvedFromSchema,
+    },
   },
   async ({ name }) => {
     try {
       const store = loadStore();
-      const normalized = normalizeName(name);
-      const repoData = store.repos[normalized];
-
-      if (!repoData) {
-        return {
-          content: [
-            { type: "text", text: `❌ Repository '${name}' not found` },
-          ],
-        };
+      const resolved = resolveName(store, name, "repos");
+      if (!resolved.key) {
+        return notFoundError("Repository", "REPO_NOT_FOUND", name, resolved);
       }
 
-      const repoPath = typeof repoData === "string" ? repoData : repoData.path;
-      return {
-        content: [{ type: "text", text: repoPath }],
-      };
+      const entry = repoEntry(resolved.key, store.repos[resolved.key]);
+      return toolResult(`${resolvedNote(name, resolved)}${entry.path}`, {
+        ...entry,
+        ...resolvedFrom(name, resolved),
+      });
     } catch (error) {
-      return {
-        content: [{ type: "text", text: `❌ Error: ${error.message}` }],
-      };
+      return errorResult(error);
     }
   }
 );
 
+// Drop a repository from every collection that lists it, returning the keys
+// of the collections that changed
+function removeFromCollections(store, repoKey) {
+  const affected = [];
+  for (const [key, collection] of Object.entries(store.collections)) {
+    if (!collection.repos.includes(repoKey)) continue;
+    collection.repos = collection.repos.filter((r) => r !== repoKey);
+    affected.push(key);
+  }
+  return affected;
+}
+
 // Remove a repository
-server.tool(
+defineTool(
   "remove-repo",
-  "Remove a repository from OpenMate using openmate-mcp or om-mcp",
   {
-    name: z.string().min(1).describe("The name of the repository to remove"),
+    description:
+      "Remove a repository from OpenMate using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the repository to remove"),
+      cascade: z
+        .boolean()
+        .optional()
+        .default(true)
+        .describe(
+          "Also remove it from the collections that contain it (otherwise they are only reported)"
+        ),
+    },
+    outputSchema: {
+      ...repoEntrySchema.shape,
+      collections: z.array(z.string()),
+      cascaded: z.boolean(),
+    },
+  },
+  async ({ name, cascade = true }) => {
+    try {
+      return await updateStore({ tool: "remove-repo" }, (store) => {
+        const resolved = resolveName(store, name, "repos", {
+          autoResolve: false,
+        });
+        if (!resolved.key) {
+          return notFoundError("Repository", "REPO_NOT_FOUND", name, resolved);
+        }
+
+        const entry = repoEntry(resolved.key, store.repos[resolved.key]);
+        delete store.repos[resolved.key];
+
+        const collections = cascade
+          ? removeFromCollections(store, resolved.key)
+          : Object.keys(store.collections).filter((key) =>
+              store.collections[key].repos.includes(resolved.key)
+            );
+
+        let output = `✅ Removed repository '${name}'`;
+        if (collections.length > 0) {
+          output += cascade
+            ? `\nAlso removed from collections: ${collections.join(", ")}`
+            : `\n⚠️ Still listed in collections: ${collections.join(", ")}`;
+        }
+        return toolResult(output, {
+          ...entry,
+          collections,
+          cascaded: cascade,
+        });
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Rename a repository
+defineTool(
+  "rename-repo",
+  {
+    description:
+      "Rename a repository, updating every collection that contains it, using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The current name of the repository"),
+      newName: z.string().min(1).describe("The new name of the repository"),
+    },
+    outputSchema: {
+      ...repoEntrySchema.shape,
+      collections: z.array(z.string()),
+    },
+  },
+  async ({ name, newName }) => {
+    try {
+      let oldKey;
+      const result = await updateStore({ tool: "rename-repo" }, (store) => {
+        const resolved = resolveName(store, name, "repos", {
+          autoResolve: false,
+        });
+        if (!resolved.key) {
+          return notFoundError("Repository", "REPO_NOT_FOUND", name, resolved);
+        }
+
+        const normalized = normalizeName(newName);
+        if (normalized !== resolved.key && store.repos[normalized]) {
+          return toolError(
+            "REPO_EXISTS",
+            `Repository '${newName}' already exists`
+          );
+        }
+
+        oldKey = resolved.key;
+        store.repos[normalized] = store.repos[resolved.key];
+        if (normalized !== resolved.key) delete store.repos[resolved.key];
+
+        const collections = [];
+        for (const [key, collection] of Object.entries(store.collections)) {
+          if (!collection.repos.includes(resolved.key)) continue;
+          collection.repos = [
+            ...new Set(
+              collection.repos.map((r) => (r === resolved.key ? normalized : r))
+            ),
+          ];
+          collections.push(key);
+        }
+
+        let output = `✅ Renamed repository '${resolved.key}' to '${normalized}'`;
+        if (collections.length > 0) {
+          output += `\nUpdated collections: ${collections.join(", ")}`;
+        }
+        return toolResult(output, {
+          ...repoEntry(normalized, store.repos[normalized]),
+          collections,
+        });
+      });
+
+      if (!result.isError && result.structuredContent.name !== oldKey) {
+        await renameUsage("repos", oldKey, result.structuredContent.name);
+      }
+      return result;
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Split a comma-separated list of repository names, dropping blanks and
+// duplicates
+function parseRepoList(repos) {
+  return [
+    ...new Set(
+      repos
+        .split(",")
+        .map((r) => normalizeName(r))
+        .filter(Boolean)
+    ),
+  ];
+}
+
+// REPO_NOT_FOUND listing the repositories missing from the store, if any
+function missingReposError(store, repoList) {
+  const missingRepos = repoList.filter((r) => !store.repos[r]);
+  if (missingRepos.length === 0) return null;
+
+  const missing = missingRepos.map((r) => ({
+    name: r,
+    suggestions: rankMatches(r, Object.keys(store.repos)).slice(
+      0,
+      MAX_SUGGESTIONS
+    ),
+  }));
+  const details = missing
+    .map(({ name: r, suggestions }) =>
+      suggestions.length > 0
+        ? `  ${r} (did you mean: ${suggestions.join(", ")}?)`
+        : `  ${r}`
+    )
+    .join("\n");
+  return toolError("REPO_NOT_FOUND", `Repositories not found:\n${details}`, {
+    missing,
+  });
+}
+
+// Add a collection
+defineTool(
+  "add-collection",
+  {
+    description:
+      "Create a collection of repositories using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the collection"),
+      repos: z
+        .string()
+        .min(1)
+        .describe("Comma-separated list of repository names"),
+      overwrite: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe("Replace an existing collection with the same name"),
+    },
+    outputSchema: collectionEntrySchema.shape,
+  },
+  async ({ name, repos, overwrite = false }) => {
+    try {
+      return await updateStore({ tool: "add-collection" }, (store) => {
+        const normalized = normalizeName(name);
+        const repoList = parseRepoList(repos);
+
+        if (store.collections[normalized] && !overwrite) {
+          return toolError(
+            "COLLECTION_EXISTS",
+            `Collection '${name}' already exists. Use add-to-collection to add repositories, or pass overwrite to replace it.`
+          );
+        }
+
+        const missingError = missingReposError(store, repoList);
+        if (missingError) return missingError;
+
+        store.collections[normalized] = {
+          ...store.collections[normalized],
+          name: name,
+          repos: repoList,
+          createdAt: new Date().toISOString(),
+        };
+
+        return toolResult(
+          `✅ Created collection '${name}' with ${repoList.length} repos`,
+          collectionEntry(normalized, store.collections[normalized])
+        );
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Collection membership changes
+const membershipSchema = {
+  ...collectionEntrySchema.shape,
+  changed: z.array(z.string()),
+  unchanged: z.array(z.string()),
+};
+
+// Add repositories to a collection
+defineTool(
+  "add-to-collection",
+  {
+    description:
+      "Add repositories to an existing collection using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the collection"),
+      repos: z
+        .string()
+        .min(1)
+        .describe("Comma-separated list of repository names to add"),
+    },
+    outputSchema: membershipSchema,
+  },
+  async ({ name, repos }) => {
+    try {
+      return await updateStore({ tool: "add-to-collection" }, (store) => {
+        const resolved = resolveName(store, name, "collections", {
+          autoResolve: false,
+        });
+        if (!resolved.key) {
+          return notFoundError(
+            "Collection",
+            "COLLECTION_NOT_FOUND",
+            name,
+            resolved
+          );
+        }
+
+        const repoList = parseRepoList(repos);
+        const missingError = missingReposError(store, repoList);
+        if (missingError) return missingError;
+
+        const collection = store.collections[resolved.key];
+        const changed = repoList.filter((r) => !collection.repos.includes(r));
+        const unchanged = repoList.filter((r) => collection.repos.includes(r));
+        collection.repos.push(...changed);
+
+        let output = `✅ Added ${changed.length} repos to collection '${resolved.key}'`;
+        if (unchanged.length > 0) {
+          output += `\nℹ️ Already in the collection: ${unchanged.join(", ")}`;
+        }
+        return toolResult(output, {
+          ...collectionEntry(resolved.key, collection),
+          changed,
+          unchanged,
+        });
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Remove repositories from a collection
+defineTool(
+  "remove-from-collection",
+  {
+    description:
+      "Remove repositories from a collection (the repositories stay registered) using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the collection"),
+      repos: z
+        .string()
+        .min(1)
+        .describe("Comma-separated list of repository names to remove"),
+    },
+    outputSchema: membershipSchema,
+  },
+  async ({ name, repos }) => {
+    try {
+      return await updateStore({ tool: "remove-from-collection" }, (store) => {
+        const resolved = resolveName(store, name, "collections", {
+          autoResolve: false,
+        });
+        if (!resolved.key) {
+          return notFoundError(
+            "Collection",
+            "COLLECTION_NOT_FOUND",
+            name,
+            resolved
+          );
+        }
+
+        const repoList = parseRepoList(repos);
+        const collection = store.collections[resolved.key];
+        const changed = repoList.filter((r) => collection.repos.includes(r));
+        const unchanged = repoList.filter((r) => !collection.repos.includes(r));
+        collection.repos = collection.repos.filter((r) => !changed.includes(r));
+
+        let output = `✅ Removed ${changed.length} repos from collection '${resolved.key}'`;
+        if (unchanged.length > 0) {
+          output += `\nℹ️ Not in the collection: ${unchanged.join(", ")}`;
+        }
+        return toolResult(output, {
+          ...collectionEntry(resolved.key, collection),
+          changed,
+          unchanged,
+        });
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Rename a collection
+defineTool(
+  "rename-collection",
+  {
+    description: "Rename a collection using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The current name of the collection"),
+      newName: z.string().min(1).describe("The new name of the collection"),
+    },
+    outputSchema: collectionEntrySchema.shape,
+  },
+  async ({ name, newName }) => {
+    try {
+      let oldKey;
+      const result = await updateStore(
+        { tool: "rename-collection" },
+        (store) => {
+          const resolved = resolveName(store, name, "collections", {
+            autoResolve: false,
+          });
+          if (!resolved.key) {
+            return notFoundError(
+              "Collection",
+              "COLLECTION_NOT_FOUND",
+              name,
+              resolved
+            );
+          }
+
+          const normalized = normalizeName(newName);
+          if (normalized !== resolved.key && store.collections[normalized]) {
+            return toolError(
+              "COLLECTION_EXISTS",
+              `Collection '${newName}' already exists`
+            );
+          }
+
+          oldKey = resolved.key;
+          const collection = store.collections[resolved.key];
+          delete store.collections[resolved.key];
+          store.collections[normalized] = { ...collection, name: newName };
+
+          return toolResult(
+            `✅ Renamed collection '${resolved.key}' to '${newName}'`,
+            collectionEntry(normalized, store.collections[normalized])
+          );
+        }
+      );
+
+      // Carry the workspace file (and its settings) over to the new name
+      if (!result.isError && result.structuredContent.key !== oldKey) {
+        await renameUsage("collections", oldKey, result.structuredContent.key);
+        const oldFile = workspaceFile(oldKey);
+        if (fs.existsSync(oldFile)) {
+          fs.renameSync(oldFile, workspaceFile(result.structuredContent.key));
+          syncWorkspaces(loadStore());
+        }
+      }
+      return result;
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Delete a collection
+defineTool(
+  "delete-collection",
+  {
+    description:
+      "Delete a collection from OpenMate using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the collection to delete"),
+    },
+    outputSchema: collectionEntrySchema.shape,
+  },
+  async ({ name }) => {
+    try {
+      return await updateStore({ tool: "delete-collection" }, (store) => {
+        const resolved = resolveName(store, name, "collections", {
+          autoResolve: false,
+        });
+        if (!resolved.key) {
+          return notFoundError(
+            "Collection",
+            "COLLECTION_NOT_FOUND",
+            name,
+            resolved
+          );
+        }
+
+        const entry = collectionEntry(
+          resolved.key,
+          store.collections[resolved.key]
+        );
+        delete store.collections[resolved.key];
+
+        return toolResult(`✅ Deleted collection '${name}'`, entry);
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// List collection
+defineTool(
+  "list-collection",
+  {
+    description:
+      "List repositories in a collection using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z
+        .string()
+        .optional()
+        .describe("Optional: The name of the collection to list"),
+    },
+    outputSchema: {
+      collections: z
+        .array(z.string())
+        .optional()
+        .describe("Available collections, when no name is given"),
+      collection: collectionEntrySchema
+        .optional()
+        .describe("The requested collection"),
+      resolvedFrom: resolvedFromSchema,
+    },
+  },
+  async ({ name }) => {
+    try {
+      const store = loadStore();
+
+      if (!name) {
+        const collections = Object.keys(store.collections);
+        if (collections.length === 0) {
+          return toolResult("No collections found", { collections });
+        }
+        return toolResult(`Available collections: ${collections.join(", ")}`, {
+          collections,
+        });
+      }
+
+      const resolved = resolveName(store, name, "collections");
+      if (!resolved.key) {
+        return notFoundError(
+          "Collection",
+          "COLLECTION_NOT_FOUND",
+          name,
+          resolved
+        );
+      }
+
+      const entry = collectionEntry(
+        resolved.key,
+        store.collections[resolved.key]
+      );
+      return toolResult(
+        `${resolvedNote(name, resolved)}Collection '${
+          resolved.key
+        }': ${entry.repos.join(", ")}`,
+        { collection: entry, ...resolvedFrom(name, resolved) }
+      );
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Show git status of repositories
+defineTool(
+  "repo-status",
+  {
+    description:
+      "Show git status (branch, changes, ahead/behind, last commit) of a repository, or of all repositories, using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z
+        .string()
+        .optional()
+        .describe("Optional: The name of the repository to check"),
+    },
+    outputSchema: {
+      repos: z.array(repoStatusSchema),
+      resolvedFrom: resolvedFromSchema,
+    },
+  },
+  async ({ name }) => {
+    try {
+      const store = loadStore();
+      let names;
+      let resolved = null;
+
+      if (name) {
+        resolved = resolveName(store, name, "repos");
+        if (!resolved.key) {
+          return notFoundError("Repository", "REPO_NOT_FOUND", name, resolved);
+        }
+        names = [resolved.key];
+      } else {
+        names = Object.keys(store.repos);
+        if (names.length === 0) {
+          return toolResult("📁 No repositories found", { repos: [] });
+        }
+      }
+
+      const statuses = await mapLimit(
+        names,
+        STATUS_PARALLEL,
+        async (repoName) => {
+          const repoData = store.repos[repoName];
+          const repoPath = repoData.path;
+          return { name: repoName, ...(await getRepoStatus(repoPath)) };
+        }
+      );
+
+      const note = resolved ? resolvedNote(name, resolved) : "";
+      return toolResult(
+        note + statuses.map((s) => formatRepoStatus(s.name, s)).join("\n"),
+        {
+          repos: statuses,
+          ...(resolved ? resolvedFrom(name, resolved) : {}),
+        }
+      );
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Show git status of a collection
+defineTool(
+  "collection-status",
+  {
+    description:
+      "Show git status of every repository in a collection using openmate-mcp or om-mcp",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the collection to check"),
+    },
+    outputSchema: {
+      name: z.string(),
+      repos: z.array(repoStatusSchema),
+      resolvedFrom: resolvedFromSchema,
+    },
   },
   async ({ name }) => {
     try {
       const store = loadStore();
-      const normalized = normalizeName(name);
+      const resolved = resolveName(store, name, "collections");
+      if (!resolved.key) {
+        return notFoundError(
+          "Collection",
+          "COLLECTION_NOT_FOUND",
+          name,
+          resolved
+        );
+      }
+
+      const collection = store.collections[resolved.key];
+      const repos = collection.repos;
+      if (repos.length === 0) {
+        return toolError(
+          "COLLECTION_EMPTY",
+          `Collection '${resolved.key}' is empty`
+        );
+      }
+
+      const statuses = await mapLimit(
+        repos,
+        STATUS_PARALLEL,
+        async (repoName) => {
+          const repoData = store.repos[repoName];
+          if (!repoData) {
+            return { name: repoName, state: "not-in-store", path: null };
+          }
+          const repoPath = repoData.path;
+          return { name: repoName, ...(await getRepoStatus(repoPath)) };
+        }
+      );
+
+      const lines = statuses.map((s) => formatRepoStatus(s.name, s));
+      return toolResult(
+        `${resolvedNote(name, resolved)}📚 Collection '${resolved.key}' (${
+          repos.length
+        } repos):\n\n${lines.join("\n")}`,
+        {
+          name: resolved.key,
+          repos: statuses,
+          ...resolvedFrom(name, resolved),
+        }
+      );
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Fetch or fast-forward every repository of a collection
+const SYNC_STATUSES = [
+  "updated",
+  "up-to-date",
+  "skipped",
+  "failed",
+  "not-git",
+  "missing",
+  "not-allowed",
+  "not-in-store",
+];
+
+defineTool(
+  "sync-collection",
+  {
+    description:
+      "Run git fetch, or a fast-forward-only pull, in every repository of a collection. Repositories with uncommitted changes are skipped, and pulls also skip diverged branches.",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the collection"),
+      mode: z
+        .enum(["fetch", "pull"])
+        .optional()
+        .default("fetch")
+        .describe("fetch only, or fetch and fast-forward (pull --ff-only)"),
+      parallel: z
+        .number()
+        .int()
+        .min(1)
+        .max(16)
+        .optional()
+        .default(4)
+        .describe("How many repositories to sync at once"),
+      timeoutMs: z
+        .number()
+        .int()
+        .min(1)
+        .max(MAX_RUN_TIMEOUT_MS)
+        .optional()
+        .default(2 * 60 * 1000)
+        .describe("Give up on a repository's fetch or merge after this long"),
+    },
+    outputSchema: {
+      name: z.string(),
+      mode: z.enum(["fetch", "pull"]),
+      updated: z.number(),
+      total: z.number(),
+      results: z.array(
+        z.object({
+          name: z.string(),
+          path: z.string().nullable(),
+          status: z.enum(SYNC_STATUSES),
+          reason: z
+            .enum(["dirty", "diverged", "no-upstream", "detached"])
+            .optional(),
+          from: z.string().optional(),
+          to: z.string().optional(),
+          commits: z.number().optional(),
+          error: z.string().optional(),
+        })
+      ),
+      resolvedFrom: resolvedFromSchema,
+    },
+  },
+  async ({ name, mode = "fetch", parallel = 4, timeoutMs = 2 * 60 * 1000 }) => {
+    try {
+      const store = loadStore();
+      // Pulls change working trees, so only fetches resolve fuzzy names
+      const resolved = resolveName(store, name, "collections", {
+        autoResolve: mode === "fetch",
+      });
+      if (!resolved.key) {
+        return notFoundError(
+          "Collection",
+          "COLLECTION_NOT_FOUND",
+          name,
+          resolved
+        );
+      }
+
+      const repos = store.collections[resolved.key].repos;
+      if (repos.length === 0) {
+        return toolError(
+          "COLLECTION_EMPTY",
+          `Collection '${resolved.key}' is empty`
+        );
+      }
 
-      if (!store.repos[normalized]) {
+      const results = await mapLimit(repos, parallel, async (repoName) => {
+        const target = collectionRepoTarget(store, repoName);
+        if (target.status !== "ready") return target;
+        const { name: repoKey, path: repoPath } = target;
         return {
-          content: [
-            { type: "text", text: `❌ Repository '${name}' not found` },
-          ],
+          name: repoKey,
+          path: repoPath,
+          ...(await syncRepo(repoPath, mode, { timeoutMs })),
         };
+      });
+
+      let output = `${resolvedNote(name, resolved)}🔄 ${
+        mode === "pull" ? "Pulling" : "Fetching"
+      } collection '${resolved.key}' (${repos.length} repos):\n\n`;
+      for (const result of results) {
+        switch (result.status) {
+          case "updated":
+            output += result.commits
+              ? `✅ ${result.name} -> fast-forwarded ${result.commits} commit${
+                  result.commits === 1 ? "" : "s"
+                }\n`
+              : `✅ ${result.name} -> fetched new commits\n`;
+            break;
+          case "up-to-date":
+            output += `✅ ${result.name} -> up to date\n`;
+            break;
+          case "skipped":
+            output += `⏭️ ${result.name} -> skipped (${result.reason})\n`;
+            break;
+          case "failed":
+            output += `❌ ${result.name} -> failed: ${result.error}\n`;
+            break;
+          case "not-git":
+            output += `➖ ${result.name} -> Not a git repository: ${result.path}\n`;
+            break;
+          case "missing":
+            output += `❌ ${result.name} -> Path not found: ${result.path}\n`;
+            break;
+          case "not-allowed":
+            output += `❌ ${result.name} -> Outside the allowed roots: ${result.path}\n`;
+            break;
+          case "not-in-store":
+            output += `❌ ${result.name} -> Repository not found in store\n`;
+            break;
+        }
       }
 
-      delete store.repos[normalized];
-      saveStore(store);
+      const updated = results.filter((r) => r.status === "updated").length;
+      output += `\nUpdated ${updated} of ${repos.length} repositories.`;
 
-      return {
-        content: [{ type: "text", text: `✅ Removed repository '${name}'` }],
-      };
+      return toolResult(output, {
+        name: resolved.key,
+        mode,
+        updated,
+        total: repos.length,
+        results,
+        ...resolvedFrom(name, resolved),
+      });
     } catch (error) {
-      return {
-        content: [{ type: "text", text: `❌ Error: ${error.message}` }],
-      };
+      return errorResult(error);
+    }
+  }
+);
+
+// Shared inputs and output of run-in-repo and run-in-collection
+const runInputSchema = {
+  command: z
+    .string()
+    .min(1)
+    .describe(
+      "The command to run, e.g. npm test. It is split on whitespace and run without a shell."
+    ),
+  args: z
+    .array(z.string())
+    .optional()
+    .describe("Optional: Extra arguments passed as-is after the command"),
+  timeoutMs: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_RUN_TIMEOUT_MS)
+    .optional()
+    .default(DEFAULT_RUN_TIMEOUT_MS)
+    .describe("Kill the command after this many milliseconds"),
+  maxOutput: z
+    .number()
+    .int()
+    .min(1)
+    .max(1024 * 1024)
+    .optional()
+    .default(DEFAULT_MAX_OUTPUT)
+    .describe("Keep at most this many bytes of stdout and of stderr"),
+};
+
+const runResultSchema = z.object({
+  exitCode: z.number().nullable(),
+  signal: z.string().nullable(),
+  timedOut: z.boolean(),
+  durationMs: z.number(),
+  stdout: z.string(),
+  stderr: z.string(),
+  truncated: z.boolean(),
+  error: z.string().nullable(),
+});
+
+function commandArgv(command, args = []) {
+  return [...command.trim().split(/\s+/), ...args];
+}
+
+// Run a command in a repository
+defineTool(
+  "run-in-repo",
+  {
+    description:
+      "Run an allowed command with a repository as the working directory and return its exit code and output",
+    inputSchema: {
+      name: z
+        .string()
+        .min(1)
+        .describe("The name of the repository to run the command in"),
+      ...runInputSchema,
+    },
+    outputSchema: {
+      name: z.string(),
+      path: z.string(),
+      command: z.array(z.string()),
+      status: z.enum(["ok", "failed", "timed-out", "error"]),
+      ...runResultSchema.shape,
+    },
+  },
+  async ({
+    name,
+    command,
+    args = [],
+    timeoutMs = DEFAULT_RUN_TIMEOUT_MS,
+    maxOutput = DEFAULT_MAX_OUTPUT,
+  }) => {
+    try {
+      const store = loadStore();
+      // Running a command can change the repository, so names never resolve
+      // fuzzily here
+      const resolved = resolveName(store, name, "repos", {
+        autoResolve: false,
+      });
+      if (!resolved.key) {
+        return notFoundError("Repository", "REPO_NOT_FOUND", name, resolved);
+      }
+
+      const argv = commandArgv(command, args);
+      assertCommandAllowed(store, argv);
+      const repoPath = resolveRepoPath(store.repos[resolved.key].path);
+      assertPathAllowed(store, repoPath);
+
+      const run = await runCommand(argv, {
+        cwd: repoPath,
+        timeoutMs,
+        maxOutput,
+      });
+      const status = runStatus(run);
+      const icon = status === "ok" ? "✅" : "❌";
+      const output = `${icon} ${argv.join(" ")} in '${
+        resolved.key
+      }' (${runSummary(run)})\n${runOutputText(run)}`;
+
+      return toolResult(output.trimEnd(), {
+        name: resolved.key,
+        path: repoPath,
+        command: argv,
+        status,
+        ...run,
+      });
+    } catch (error) {
+      return errorResult(error);
     }
   }
 );
 
-// Add a collection
-server.tool(
-  "add-collection",
-  "Create a collection of repositories using openmate-mcp or om-mcp",
+// Run a command in every repository of a collection
+defineTool(
+  "run-in-collection",
   {
-    name: z.string().min(1).describe("The name of the collection"),
-    repos: z
-      .string()
-      .min(1)
-      .describe("Comma-separated list of repository names"),
+    description:
+      "Run an allowed command in every repository of a collection, a few at a time, and return each exit code and output",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the collection"),
+      ...runInputSchema,
+      parallel: z
+        .number()
+        .int()
+        .min(1)
+        .max(16)
+        .optional()
+        .default(4)
+        .describe("How many repositories to run the command in at once"),
+    },
+    outputSchema: {
+      name: z.string(),
+      command: z.array(z.string()),
+      succeeded: z.number(),
+      total: z.number(),
+      results: z.array(
+        runResultSchema.partial().extend({
+          name: z.string(),
+          path: z.string().nullable(),
+          status: z.enum([
+            "ok",
+            "failed",
+            "timed-out",
+            "error",
+            "missing",
+            "not-allowed",
+            "not-in-store",
+          ]),
+        })
+      ),
+    },
   },
-  async ({ name, repos }) => {
+  async ({
+    name,
+    command,
+    args = [],
+    timeoutMs = DEFAULT_RUN_TIMEOUT_MS,
+    maxOutput = DEFAULT_MAX_OUTPUT,
+    parallel = 4,
+  }) => {
     try {
       const store = loadStore();
-      const normalized = normalizeName(name);
-      const repoList = repos.split(",").map((r) => normalizeName(r.trim()));
+      const resolved = resolveName(store, name, "collections", {
+        autoResolve: false,
+      });
+      if (!resolved.key) {
+        return notFoundError(
+          "Collection",
+          "COLLECTION_NOT_FOUND",
+          name,
+          resolved
+        );
+      }
 
-      const missingRepos = repoList.filter((r) => !store.repos[r]);
-      if (missingRepos.length > 0) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `❌ Repositories not found: ${missingRepos.join(", ")}`,
-            },
-          ],
-        };
+      const repos = store.collections[resolved.key].repos;
+      if (repos.length === 0) {
+        return toolError(
+          "COLLECTION_EMPTY",
+          `Collection '${resolved.key}' is empty`
+        );
       }
 
-      store.collections[normalized] = {
-        name: name,
-        repos: repoList,
-        createdAt: new Date().toISOString(),
-      };
-      saveStore(store);
+      const argv = commandArgv(command, args);
+      assertCommandAllowed(store, argv);
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `✅ Created collection '${name}' with ${repoList.length} repos`,
-          },
-        ],
-      };
+      const results = await mapLimit(repos, parallel, async (repoName) => {
+        const target = collectionRepoTarget(store, repoName);
+        if (target.status !== "ready") return target;
+        const run = await runCommand(argv, {
+          cwd: target.path,
+          timeoutMs,
+          maxOutput,
+        });
+        return { ...target, status: runStatus(run), ...run };
+      });
+
+      let output = `▶️ ${argv.join(" ")} in collection '${resolved.key}' (${
+        repos.length
+      } repos):\n\n`;
+      let details = "";
+      for (const result of results) {
+        switch (result.status) {
+          case "ok":
+            output += `✅ ${result.name} (${runSummary(result)})\n`;
+            break;
+          case "failed":
+          case "timed-out":
+          case "error":
+            output += `❌ ${result.name} (${runSummary(result)})\n`;
+            details += `\n📄 ${result.name}:\n${runOutputText(result)}`;
+            break;
+          case "missing":
+            output += `❌ ${result.name} -> Path not found: ${result.path}\n`;
+            break;
+          case "not-allowed":
+            output += `❌ ${result.name} -> Outside the allowed roots: ${result.path}\n`;
+            break;
+          case "not-in-store":
+            output += `❌ ${result.name} -> Repository not found in store\n`;
+            break;
+        }
+      }
+
+      const succeeded = results.filter((r) => r.status === "ok").length;
+      output += `\nSucceeded in ${succeeded} of ${repos.length} repositories.\n${details}`;
+
+      return toolResult(output.trimEnd(), {
+        name: resolved.key,
+        command: argv,
+        succeeded,
+        total: repos.length,
+        results,
+      });
     } catch (error) {
-      return {
-        content: [{ type: "text", text: `❌ Error: ${error.message}` }],
-      };
+      return errorResult(error);
     }
   }
 );
 
-// Delete a collection
-server.tool(
-  "delete-collection",
-  "Delete a collection from OpenMate using openmate-mcp or om-mcp",
-  {
-    name: z.string().min(1).describe("The name of the collection to delete"),
-  },
-  async ({ name }) => {
-    try {
-      const store = loadStore();
-      const normalized = normalizeName(name);
+// Store doctor
+const DOCTOR_ISSUE_TYPES = [
+  "legacy-entry",
+  "missing-path",
+  "not-a-directory",
+  "duplicate-path",
+  "dangling-member",
+  "duplicate-member",
+  "unknown-ide",
+];
 
-      if (!store.collections[normalized]) {
-        return {
-          content: [
-            { type: "text", text: `❌ Collection '${name}' not found` },
-          ],
-        };
+// Check the store for problems, fixing the ones that can be fixed safely as
+// they are found so later checks see the repaired store. Callers that only
+// want a report pass a copy. Repositories with missing paths are only
+// removed when removeMissing is set.
+function diagnoseStore(store, { removeMissing = false, legacy = [] } = {}) {
+  const issues = [];
+  const report = (type, target, message, fix) => {
+    if (fix) fix();
+    issues.push({ type, target, message, fixable: Boolean(fix) });
+  };
+
+  // Older shapes in the file, already migrated in store; saving it fixes them
+  for (const { target, message } of legacy) {
+    report("legacy-entry", target, message, () => {});
+  }
+
+  // Entries stored under names the tools cannot look up
+  for (const section of ["repos", "collections"]) {
+    const label = section === "repos" ? "Repository" : "Collection";
+    for (const key of Object.keys(store[section])) {
+      const normalized = normalizeName(key);
+      if (normalized === key) continue;
+      if (!normalized || store[section][normalized]) {
+        report(
+          "legacy-entry",
+          key,
+          normalized
+            ? `${label} key '${key}' is not normalized and '${normalized}' already exists`
+            : `${label} key '${key}' is blank`
+        );
+        continue;
       }
+      report(
+        "legacy-entry",
+        key,
+        `${label} key '${key}' is not normalized (rename to '${normalized}')`,
+        () => {
+          store[section][normalized] = store[section][key];
+          delete store[section][key];
+          if (section !== "repos") return;
+          for (const collection of Object.values(store.collections)) {
+            collection.repos = collection.repos.map((r) =>
+              r === key ? normalized : r
+            );
+          }
+        }
+      );
+    }
+  }
 
-      delete store.collections[normalized];
-      saveStore(store);
+  // Paths
+  const byPath = new Map();
+  for (const [key, repoData] of Object.entries(store.repos)) {
+    if (typeof repoData.path !== "string") {
+      report("legacy-entry", key, `Repository '${key}' has no path`);
+      continue;
+    }
 
-      return {
-        content: [{ type: "text", text: `✅ Deleted collection '${name}'` }],
-      };
-    } catch (error) {
-      return {
-        content: [{ type: "text", text: `❌ Error: ${error.message}` }],
+    let stats = null;
+    try {
+      stats = fs.statSync(repoData.path);
+    } catch (e) {
+      // Reported as missing below
+    }
+    if (!stats || !stats.isDirectory()) {
+      const remove = () => {
+        delete store.repos[key];
+        removeFromCollections(store, key);
       };
+      report(
+        stats ? "not-a-directory" : "missing-path",
+        key,
+        stats
+          ? `Path of '${key}' is not a directory: ${repoData.path}`
+          : `Path of '${key}' does not exist: ${repoData.path}`,
+        removeMissing ? remove : null
+      );
+      continue;
     }
+
+    const real = realPath(repoData.path);
+    byPath.set(real, [...(byPath.get(real) || []), key]);
+  }
+  for (const [real, keys] of byPath) {
+    if (keys.length < 2) continue;
+    report(
+      "duplicate-path",
+      keys.join(", "),
+      `${real} is registered as: ${keys.join(", ")}`
+    );
   }
-);
 
-// List collection
-server.tool(
-  "list-collection",
-  "List repositories in a collection using openmate-mcp or om-mcp",
+  // Collection members
+  for (const [key, collection] of Object.entries(store.collections)) {
+    for (const repoName of new Set(collection.repos)) {
+      if (store.repos[repoName]) continue;
+      report(
+        "dangling-member",
+        `${key}/${repoName}`,
+        `Collection '${key}' lists '${repoName}', which is not in the store`,
+        () => {
+          collection.repos = collection.repos.filter((r) => r !== repoName);
+        }
+      );
+    }
+    if (new Set(collection.repos).size !== collection.repos.length) {
+      report(
+        "duplicate-member",
+        key,
+        `Collection '${key}' lists some repositories more than once`,
+        () => {
+          collection.repos = [...new Set(collection.repos)];
+        }
+      );
+    }
+  }
+
+  // Preferred IDEs that are no longer registered
+  const editors = loadEditors();
+  if (store.ide_default && !editors[store.ide_default]) {
+    report(
+      "unknown-ide",
+      "global",
+      `Global default IDE '${store.ide_default}' is not registered`,
+      () => delete store.ide_default
+    );
+  }
+  for (const section of ["repos", "collections"]) {
+    for (const [key, entry] of Object.entries(store[section])) {
+      if (!entry.ide || editors[entry.ide]) continue;
+      report(
+        "unknown-ide",
+        key,
+        `Preferred IDE '${entry.ide}' of '${key}' is not registered`,
+        () => delete entry.ide
+      );
+    }
+  }
+
+  return issues;
+}
+
+// Check and repair the store
+defineTool(
+  "doctor",
   {
-    name: z
-      .string()
-      .optional()
-      .describe("Optional: The name of the collection to list"),
+    description:
+      "Check the OpenMate store for dangling collection members, missing or duplicate paths, unknown IDEs and legacy entries, and optionally repair them",
+    inputSchema: {
+      repair: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe("Fix the issues that can be fixed safely"),
+      removeMissing: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe(
+          "With repair: also remove repositories whose path is missing or not a directory"
+        ),
+    },
+    outputSchema: {
+      repaired: z.boolean(),
+      fixed: z.number(),
+      issues: z.array(
+        z.object({
+          type: z.enum(DOCTOR_ISSUE_TYPES),
+          target: z.string(),
+          message: z.string(),
+          fixable: z.boolean(),
+          fixed: z.boolean(),
+        })
+      ),
+    },
   },
-  async ({ name }) => {
-    try {
-      const store = loadStore();
+  async ({ repair = false, removeMissing = false }) => {
+    const doctorResult = (found) => {
+      const issues = found.map((issue) => ({
+        ...issue,
+        fixed: repair && issue.fixable,
+      }));
+      const fixed = issues.filter((issue) => issue.fixed).length;
 
-      if (!name) {
-        const collections = Object.keys(store.collections);
-        if (collections.length === 0) {
-          return {
-            content: [{ type: "text", text: "No collections found" }],
-          };
-        }
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Available collections: ${collections.join(", ")}`,
-            },
-          ],
-        };
+      if (issues.length === 0) {
+        return toolResult("🩺 No problems found in the store.", {
+          repaired: repair,
+          fixed,
+          issues,
+        });
       }
 
-      const normalized = normalizeName(name);
-      const collection = store.collections[normalized];
-
-      if (!collection) {
-        return {
-          content: [
-            { type: "text", text: `❌ Collection '${name}' not found` },
-          ],
-        };
+      let output = `🩺 Found ${issues.length} problems:\n`;
+      issues.forEach(({ message, fixable, fixed: wasFixed }) => {
+        const mark = wasFixed ? "🔧" : fixable ? "⚠️" : "❗";
+        output += `  ${mark} ${message}${wasFixed ? " (fixed)" : ""}\n`;
+      });
+      if (!repair && issues.some((issue) => issue.fixable)) {
+        output += "\nRun doctor with repair to fix the ⚠️ problems.";
+      } else if (repair) {
+        output += `\nFixed ${fixed} of ${issues.length} problems.`;
+      }
+      if (
+        !removeMissing &&
+        issues.some(({ type }) =>
+          ["missing-path", "not-a-directory"].includes(type)
+        )
+      ) {
+        output +=
+          "\nPass removeMissing with repair to also remove repositories whose path is gone.";
       }
+      return toolResult(output.trimEnd(), { repaired: repair, fixed, issues });
+    };
 
-      const repos = collection.repos || [];
-      return {
-        content: [
-          { type: "text", text: `Collection '${name}': ${repos.join(", ")}` },
-        ],
-      };
+    try {
+      if (!repair) {
+        const { store, legacy } = readStore();
+        return doctorResult(diagnoseStore(store, { removeMissing, legacy }));
+      }
+      return await updateStore(
+        { tool: "doctor" },
+        (store, legacy) =>
+          doctorResult(diagnoseStore(store, { removeMissing, legacy })),
+        { migrate: true }
+      );
     } catch (error) {
-      return {
-        content: [{ type: "text", text: `❌ Error: ${error.message}` }],
-      };
+      return errorResult(error);
     }
   }
 );
@@ -677,319 +4602,1600 @@ server.tool(
 //       };
 //       saveStore(store);
 
-//       return {
-//         content: [
-//           { type: "text", text: `✅ Added current directory as '${name}'` },
-//         ],
-//       };
-//     } catch (error) {
-//       return {
-//         content: [{ type: "text", text: `❌ Error: ${error.message}` }],
-//       };
-//     }
-//   }
-// );
+//       return {
+//         content: [
+//           { type: "text", text: `✅ Added current directory as '${name}'` },
+//         ],
+//       };
+//     } catch (error) {
+//       return {
+//         content: [{ type: "text", text: `❌ Error: ${error.message}` }],
+//       };
+//     }
+//   }
+// );
+
+// Open repository in IDE
+defineIdeTool(
+  "open-repo",
+  {
+    description:
+      "Open a repository in a specific IDE using openmate-mcp or om-mcp",
+    inputSchema: () => ({
+      name: z.string().min(1).describe("The name of the repository to open"),
+      ide: ideParam("IDE to open in").optional(),
+      file: z
+        .string()
+        .min(1)
+        .optional()
+        .describe(
+          "Optional: A file inside the repository to open, relative to its root"
+        ),
+      line: z
+        .number()
+        .int()
+        .min(1)
+        .optional()
+        .describe("Optional: The line to jump to in file (default 1)"),
+      column: z
+        .number()
+        .int()
+        .min(1)
+        .optional()
+        .describe("Optional: The column to jump to in file (default 1)"),
+      dryRun: dryRunParam,
+    }),
+    outputSchema: {
+      name: z.string(),
+      path: z.string(),
+      ide: z.string(),
+      ideName: z.string(),
+      ideSource: z.enum(IDE_SOURCES),
+      location: z
+        .object({ file: z.string(), line: z.number(), column: z.number() })
+        .nullable(),
+      command: commandSchema.nullable(),
+      dryRun: z.boolean(),
+      plan: z.array(commandSchema).optional(),
+      resolvedFrom: resolvedFromSchema,
+    },
+  },
+  async ({ name, ide, file, line, column, dryRun }) => {
+    try {
+      const store = loadStore();
+      const resolved = resolveName(store, name, "repos");
+      if (!resolved.key) {
+        return notFoundError("Repository", "REPO_NOT_FOUND", name, resolved);
+      }
+
+      const repoData = store.repos[resolved.key];
+      const repoPath = repoData.path;
+
+      // Check if path exists
+      if (!fs.existsSync(repoPath)) {
+        return toolError("PATH_MISSING", `Path does not exist: ${repoPath}`, {
+          path: repoPath,
+        });
+      }
+      assertPathAllowed(store, repoPath);
+
+      if (!file && (line || column)) {
+        return toolError("INVALID_ARGUMENT", "line and column require file");
+      }
+      const location = file
+        ? {
+            file: resolveRepoFile(repoPath, file),
+            line: line || 1,
+            column: column || 1,
+          }
+        : null;
+
+      const choice = resolveIde(store, { ide, repoKey: resolved.key });
+      const targetIde = choice.ide;
+
+      const editor = loadEditors()[targetIde];
+      if (!editor) {
+        return toolError(
+          "UNKNOWN_IDE",
+          `Unknown IDE '${targetIde}'. Available IDEs: ${ideChoices()}`
+        );
+      }
+
+      const dry = isDryRun(dryRun);
+      const detection = detectIde(targetIde);
+      if (!detection.installed && !dry) {
+        return notInstalledError(targetIde, editor.name);
+      }
+      if (location && !detection.goto) {
+        return toolError(
+          "INVALID_ARGUMENT",
+          `${editor.name} (${targetIde}) has no goto arguments for opening a file at a line. Add them by registering it again with add-ide, passing goto and overwrite.`
+        );
+      }
+
+      const details = `\nPath: ${repoPath}${ideChoiceNote(choice)}${
+        location
+          ? `\nLocation: ${location.file}:${location.line}:${location.column}`
+          : ""
+      }`;
+      const entry = {
+        name: resolved.key,
+        path: repoPath,
+        ide: targetIde,
+        ideName: editor.name,
+        ideSource: choice.source,
+        location,
+        ...resolvedFrom(name, resolved),
+      };
+
+      if (dry) {
+        const plan = launchPlan(editor, detection, repoPath, location);
+        return toolResult(
+          `${resolvedNote(name, resolved)}📝 Dry run: would open '${
+            resolved.key
+          }' in ${editor.name}${details}\n${planText(
+            plan
+          )}${notInstalledWarning(editor, detection)}`,
+          { ...entry, command: null, dryRun: true, plan }
+        );
+      }
+
+      const launch = await openInIde(detection, repoPath, location);
+      if (!launch.ok) {
+        return toolError(
+          "LAUNCH_FAILED",
+          `Could not open '${resolved.key}' in ${editor.name}: ${launchFailure(
+            launch
+          )}`,
+          { attempts: launch.attempts }
+        );
+      }
+
+      await recordOpen("repos", [resolved.key], targetIde);
+
+      return toolResult(
+        `${resolvedNote(name, resolved)}🚀 Opened '${resolved.key}' in ${
+          editor.name
+        }${details}\nCommand: ${formatCommand(launch.command)}`,
+        { ...entry, command: launch.command, dryRun: false }
+      );
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Open collection in IDE
+defineIdeTool(
+  "open-collection",
+  {
+    description:
+      "Open all repositories in a collection in a specific IDE using openmate-mcp or om-mcp",
+    inputSchema: () => ({
+      name: z.string().min(1).describe("The name of the collection to open"),
+      ide: ideParam("IDE to open in").optional(),
+      mode: z
+        .enum(OPEN_MODES)
+        .optional()
+        .describe(
+          "Optional: Open as one multi-root workspace (VS Code, Cursor, Windsurf, Antigravity) or in separate windows. Defaults to the collection's open mode, then workspace where supported."
+        ),
+      dryRun: dryRunParam,
+    }),
+    outputSchema: {
+      name: z.string(),
+      ide: z.string(),
+      ideName: z.string(),
+      ideSource: z.enum(IDE_SOURCES),
+      mode: z.enum(OPEN_MODES),
+      workspace: z.string().nullable(),
+      opened: z.number(),
+      total: z.number(),
+      results: z.array(
+        z.object({
+          name: z.string(),
+          path: z.string().nullable(),
+          status: z.enum([
+            "opened",
+            "planned",
+            "failed",
+            "missing",
+            "not-allowed",
+            "not-in-store",
+          ]),
+          command: commandSchema.optional(),
+          error: z.string().optional(),
+        })
+      ),
+      dryRun: z.boolean(),
+      plan: z
+        .array(z.object({ path: z.string(), commands: z.array(commandSchema) }))
+        .optional(),
+      resolvedFrom: resolvedFromSchema,
+    },
+  },
+  async ({ name, ide, mode, dryRun }) => {
+    try {
+      const store = loadStore();
+      const resolved = resolveName(store, name, "collections");
+      if (!resolved.key) {
+        return notFoundError(
+          "Collection",
+          "COLLECTION_NOT_FOUND",
+          name,
+          resolved
+        );
+      }
+
+      const collection = store.collections[resolved.key];
+      const note = resolvedNote(name, resolved);
+
+      const repos = collection.repos;
+      if (repos.length === 0) {
+        return toolError(
+          "COLLECTION_EMPTY",
+          `Collection '${resolved.key}' is empty`
+        );
+      }
+
+      const choice = resolveIde(store, { ide, collectionKey: resolved.key });
+      const targetIde = choice.ide;
+
+      const editor = loadEditors()[targetIde];
+      if (!editor) {
+        return toolError(
+          "UNKNOWN_IDE",
+          `Unknown IDE '${targetIde}'. Available IDEs: ${ideChoices()}`
+        );
+      }
+
+      const dry = isDryRun(dryRun);
+      const detection = detectIde(targetIde);
+      if (!detection.installed && !dry) {
+        return notInstalledError(targetIde, editor.name);
+      }
+
+      const targetMode =
+        editor.workspace && (mode || collection.openMode) !== "windows"
+          ? "workspace"
+          : "windows";
+      const targets = repos.map((repoName) =>
+        collectionRepoTarget(store, repoName)
+      );
+      const ready = targets.filter(({ status }) => status === "ready");
+
+      let workspace = null;
+      let results;
+      let plan;
+      if (dry) {
+        // The workspace file is only written by a real open
+        if (targetMode === "workspace") workspace = workspaceFile(resolved.key);
+        const paths = workspace
+          ? ready.length > 0
+            ? [workspace]
+            : []
+          : ready.map((target) => target.path);
+        plan = paths.map((planPath) => ({
+          path: planPath,
+          commands: launchPlan(editor, detection, planPath),
+        }));
+        results = targets.map((target) =>
+          target.status === "ready" ? { ...target, status: "planned" } : target
+        );
+      } else if (targetMode === "workspace") {
+        // One window for the whole collection
+        workspace = writeWorkspace(
+          resolved.key,
+          workspaceFolders(store, collection)
+        );
+        const launch =
+          ready.length > 0 ? await openInIde(detection, workspace) : null;
+        results = targets.map((target) => {
+          if (target.status !== "ready") return target;
+          return launch.ok
+            ? { ...target, status: "opened", command: launch.command }
+            : { ...target, status: "failed", error: launchFailure(launch) };
+        });
+      } else {
+        results = await Promise.all(
+          targets.map(async (target) => {
+            if (target.status !== "ready") return target;
+            const launch = await openInIde(detection, target.path);
+            return launch.ok
+              ? { ...target, status: "opened", command: launch.command }
+              : { ...target, status: "failed", error: launchFailure(launch) };
+          })
+        );
+      }
+
+      let output = dry
+        ? `${note}📝 Dry run: would open collection '${resolved.key}' (${repos.length} repos) in ${editor.name}`
+        : `${note}🚀 Opening collection '${resolved.key}' (${repos.length} repos) in ${editor.name}`;
+      output += workspace ? ` as workspace ${workspace}` : "";
+      output += `:${ideChoiceNote(choice)}\n\n`;
+      for (const result of results) {
+        switch (result.status) {
+          case "opened":
+            output += `✅ ${result.name} -> ${result.path}\n`;
+            break;
+          case "planned":
+            output += `📝 ${result.name} -> ${result.path}\n`;
+            break;
+          case "failed":
+            output += `❌ ${result.name} -> Launch failed: ${result.error}\n`;
+            break;
+          case "missing":
+            output += `❌ ${result.name} -> Path not found: ${result.path}\n`;
+            break;
+          case "not-allowed":
+            output += `❌ ${result.name} -> Outside the allowed roots: ${result.path}\n`;
+            break;
+          case "not-in-store":
+            output += `❌ ${result.name} -> Repository not found in store\n`;
+            break;
+        }
+      }
+
+      const openedCount = results.filter((r) => r.status === "opened").length;
+      if (dry) {
+        for (const entry of plan) {
+          output += `\n${entry.path}:\n${planText(entry.commands)}\n`;
+        }
+        output += `\nWould open ${ready.length} of ${repos.length} repositories.`;
+        output += notInstalledWarning(editor, detection);
+      } else {
+        output += `\nOpened ${openedCount} of ${repos.length} repositories.`;
+      }
+
+      if (!dry && ready.length > 0 && openedCount === 0) {
+        const failed = results.filter((result) => result.status === "failed");
+        // A workspace is one launch, so its error is the same for every repo
+        const failures = workspace
+          ? [failed[0].error]
+          : failed.map((result) => `${result.name}: ${result.error}`);
+        return toolError(
+          "LAUNCH_FAILED",
+          `Could not open collection '${resolved.key}' in ${
+            editor.name
+          }: ${failures.join("; ")}`,
+          { results }
+        );
+      }
+
+      if (openedCount > 0) {
+        await recordOpen("collections", [resolved.key], targetIde);
+        await recordOpen(
+          "repos",
+          results.filter((r) => r.status === "opened").map((r) => r.name),
+          targetIde
+        );
+      }
+
+      return toolResult(output, {
+        name: resolved.key,
+        ide: targetIde,
+        ideName: editor.name,
+        ideSource: choice.source,
+        mode: targetMode,
+        workspace,
+        opened: openedCount,
+        total: repos.length,
+        results,
+        dryRun: dry,
+        ...(dry ? { plan } : {}),
+        ...resolvedFrom(name, resolved),
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Set preferred IDE
+defineIdeTool(
+  "set-ide",
+  {
+    description: "Set a preferred IDE for a repository or collection",
+    inputSchema: () => ({
+      name: z
+        .string()
+        .optional()
+        .describe("Optional: The name of the repository or collection"),
+      ide: ideParam("Preferred IDE"),
+    }),
+    outputSchema: {
+      name: z.string().nullable(),
+      ide: z.string(),
+      ideName: z.string(),
+      targets: z.array(z.enum(["global", "repo", "collection"])),
+    },
+  },
+  async ({ name, ide }) => {
+    try {
+      return await updateStore({ tool: "set-ide" }, (store) => {
+        const editor = loadEditors()[ide];
+        if (!detectIde(ide).installed) {
+          return notInstalledError(ide, editor.name);
+        }
+
+        if (!name) {
+          store.ide_default = ide;
+          return toolResult(`✅ Set global default IDE to ${editor.name}`, {
+            name: null,
+            ide,
+            ideName: editor.name,
+            targets: ["global"],
+          });
+        }
+
+        const normalized = normalizeName(name);
+        const targets = [];
+
+        // Check repos
+        if (store.repos[normalized]) {
+          store.repos[normalized].ide = ide;
+          targets.push("repo");
+        }
+
+        // Check collections
+        if (store.collections[normalized]) {
+          store.collections[normalized].ide = ide;
+          targets.push("collection");
+        }
+
+        if (targets.length === 0) {
+          // Writes never auto-resolve, but still offer suggestions
+          const resolved = resolveName(store, name, "repos", {
+            autoResolve: false,
+          });
+          return notFoundError(
+            "Repository or collection",
+            "NOT_FOUND",
+            name,
+            resolved
+          );
+        }
+
+        return toolResult(
+          `✅ Set preferred IDE for '${name}' to ${editor.name}`,
+          { name: normalized, ide, ideName: editor.name, targets }
+        );
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Set how a collection opens
+defineTool(
+  "set-open-mode",
+  {
+    description:
+      "Choose whether a collection opens as one multi-root workspace or as separate windows (one per repository)",
+    inputSchema: {
+      name: z.string().min(1).describe("The name of the collection"),
+      mode: z
+        .enum(OPEN_MODES)
+        .describe(
+          "workspace (one .code-workspace window, where the IDE supports it) or windows"
+        ),
+    },
+    outputSchema: collectionEntrySchema.shape,
+  },
+  async ({ name, mode }) => {
+    try {
+      return await updateStore({ tool: "set-open-mode" }, (store) => {
+        const resolved = resolveName(store, name, "collections", {
+          autoResolve: false,
+        });
+        if (!resolved.key) {
+          return notFoundError(
+            "Collection",
+            "COLLECTION_NOT_FOUND",
+            name,
+            resolved
+          );
+        }
+
+        store.collections[resolved.key].openMode = mode;
+        return toolResult(
+          `✅ Collection '${resolved.key}' now opens ${
+            mode === "workspace" ? "as a workspace" : "in separate windows"
+          }`,
+          collectionEntry(resolved.key, store.collections[resolved.key])
+        );
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// IDE registry output
+const ideEntrySchema = z.object({
+  key: z.string(),
+  name: z.string(),
+  source: z.enum(["builtin", "custom", "override"]),
+  workspace: z.boolean(),
+  goto: z.array(z.string()).nullable(),
+  candidates: z.array(commandSchema),
+});
+
+function ideEntry(key, editor, customEditors) {
+  let source = "builtin";
+  if (customEditors[key]) source = BUILTIN_EDITORS[key] ? "override" : "custom";
+  return {
+    key,
+    name: editor.name,
+    source,
+    workspace: Boolean(editor.workspace),
+    goto: editor.goto || null,
+    candidates: launchCandidates(editor, {}).map(({ cmd, args }) => ({
+      cmd,
+      args,
+    })),
+  };
+}
+
+// List registered IDEs
+defineTool(
+  "list-ides",
+  {
+    description:
+      "List the IDEs and editors that repositories can be opened in, with their launch commands for this platform",
+    outputSchema: { ides: z.array(ideEntrySchema) },
+  },
+  async () => {
+    try {
+      const customEditors = loadCustomEditors();
+      const ides = Object.entries(loadEditors()).map(([key, editor]) =>
+        ideEntry(key, editor, customEditors)
+      );
+
+      let output = "🧰 IDEs:\n";
+      ides.forEach(({ key, name, source, candidates }) => {
+        const sourceStr = source === "builtin" ? "" : ` [${source}]`;
+        const commands = candidates
+          .map(({ cmd, args }) => [cmd, ...args].join(" "))
+          .join(" | ");
+        output += `  ${key} (${name})${sourceStr}: ${commands || "none"}\n`;
+      });
+
+      return toolResult(output.trimEnd(), { ides });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Detect installed IDEs
+defineTool(
+  "detect-ides",
+  {
+    description:
+      "Detect which registered IDEs are installed on this machine (PATH, macOS app bundles and common JetBrains install locations)",
+    inputSchema: {
+      refresh: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe("Ignore cached results and probe again"),
+    },
+    outputSchema: {
+      detectedAt: z.string(),
+      ides: z.array(
+        z.object({
+          key: z.string(),
+          name: z.string(),
+          installed: z.boolean(),
+          executable: z.string().nullable(),
+        })
+      ),
+    },
+  },
+  async ({ refresh = false }) => {
+    try {
+      const { at, results } = detectIdes({ refresh });
+      const ides = Object.values(results).map(
+        ({ key, name, installed, executable }) => ({
+          key,
+          name,
+          installed,
+          executable,
+        })
+      );
+
+      let output = "🔍 Installed IDEs:\n";
+      ides.forEach(({ key, name, installed, executable }) => {
+        output += installed
+          ? `  ✅ ${key} (${name}) -> ${executable}\n`
+          : `  ❌ ${key} (${name}) -> not found\n`;
+      });
+
+      return toolResult(output.trimEnd(), {
+        detectedAt: new Date(at).toISOString(),
+        ides,
+      });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Register a custom IDE
+defineTool(
+  "add-ide",
+  {
+    description:
+      "Register a custom IDE or editor (or override the launch commands of a built-in one) in ~/.openmate/editors.json",
+    inputSchema: {
+      key: z
+        .string()
+        .regex(/^[a-z0-9][a-z0-9-]*$/, "Use lowercase letters, digits and -")
+        .describe("Short key used to select the IDE, e.g. zed"),
+      name: z.string().min(1).describe("Display name, e.g. Zed"),
+      candidates: z
+        .array(launchCandidateSchema)
+        .min(1)
+        .describe("Launch commands to try in order"),
+      workspace: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe(
+          "Whether the editor opens multi-root .code-workspace files, so collections can open in one window"
+        ),
+      goto: z
+        .array(z.string())
+        .optional()
+        .describe(
+          'Optional: Arguments appended to open {file} at {line} and {column}, e.g. ["-g", "{file}:{line}:{column}"]'
+        ),
+      overwrite: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe("Replace a custom IDE or override with the same key"),
+    },
+    outputSchema: ideEntrySchema.shape,
+  },
+  async ({
+    key,
+    name,
+    candidates,
+    workspace = false,
+    goto,
+    overwrite = false,
+  }) => {
+    try {
+      const customEditors = readEditorsFile();
+
+      const replaced = Boolean(customEditors[key]);
+      if (replaced && !overwrite) {
+        return toolError(
+          "IDE_EXISTS",
+          `IDE '${key}' is already registered. Pass overwrite to redefine it.`
+        );
+      }
+
+      const missingPath = candidates.find(
+        ({ args }) => !args.some((arg) => arg.includes("{path}"))
+      );
+      if (missingPath) {
+        return toolError(
+          "INVALID_ARGUMENT",
+          `Arguments for '${missingPath.cmd}' must include {path}`
+        );
+      }
+
+      if (goto && !goto.some((arg) => arg.includes("{file}"))) {
+        return toolError(
+          "INVALID_ARGUMENT",
+          "goto arguments must include {file}"
+        );
+      }
+
+      const launch = {};
+      for (const { cmd, args, paths, platform } of candidates) {
+        (launch[platform] = launch[platform] || []).push({
+          cmd,
+          args,
+          ...(paths ? { paths } : {}),
+        });
+      }
+
+      customEditors[key] = {
+        name,
+        ...(workspace ? { workspace } : {}),
+        ...(goto ? { goto } : {}),
+        launch,
+      };
+      saveCustomEditors(customEditors);
+      refreshIdeTools();
+
+      const entry = ideEntry(key, customEditors[key], customEditors);
+      return toolResult(
+        `✅ ${
+          replaced
+            ? "Updated"
+            : entry.source === "override"
+            ? "Overrode"
+            : "Added"
+        } IDE '${key}' (${name})`,
+        entry
+      );
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
 
-// Open repository in IDE
-server.tool(
-  "open-repo",
-  "Open a repository in a specific IDE using openmate-mcp or om-mcp",
-  {
-    name: z.string().min(1).describe("The name of the repository to open"),
-    ide: z
-      .enum(IDE_ENUMS)
-      .optional()
-      .describe(
-        `IDE to open in: ${Object.entries(IDE_CONFIG)
-          .map(([k, v]) => `${k} (${v})`)
-          .join(", ")}`
-      ),
+// Remove a custom IDE
+defineTool(
+  "remove-ide",
+  {
+    description:
+      "Remove a custom IDE from ~/.openmate/editors.json (for a built-in IDE, removes its override)",
+    inputSchema: {
+      key: z.string().min(1).describe("The key of the IDE to remove"),
+      force: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe(
+          "Remove even if repositories or collections still prefer this IDE"
+        ),
+    },
+    outputSchema: {
+      key: z.string(),
+      usedBy: z.array(z.string()),
+    },
   },
-
-  async ({ name, ide }) => {
+  async ({ key, force = false }) => {
     try {
-      const store = loadStore();
-      const normalized = normalizeName(name);
-      const repoData = store.repos[normalized];
+      const customEditors = readEditorsFile();
 
-      if (!repoData) {
-        return {
-          content: [
-            { type: "text", text: `❌ Repository '${name}' not found` },
-          ],
-        };
+      if (!customEditors[key]) {
+        return toolError(
+          BUILTIN_EDITORS[key] ? "BUILTIN_IDE" : "UNKNOWN_IDE",
+          BUILTIN_EDITORS[key]
+            ? `IDE '${key}' is built in and cannot be removed`
+            : `IDE '${key}' is not registered`
+        );
       }
 
-      const repoPath = typeof repoData === "string" ? repoData : repoData.path;
+      // Built-in keys stay valid after their override is removed
+      const usedBy = [];
+      if (!BUILTIN_EDITORS[key]) {
+        const store = loadStore();
+        if (store.ide_default === key) usedBy.push("global default");
+        for (const [repoName, data] of Object.entries(store.repos)) {
+          if (data.ide === key) {
+            usedBy.push(`repo ${repoName}`);
+          }
+        }
+        for (const [collectionKey, collection] of Object.entries(
+          store.collections
+        )) {
+          if (collection.ide === key)
+            usedBy.push(`collection ${collectionKey}`);
+        }
+      }
 
-      // Check if path exists
-      if (!fs.existsSync(repoPath)) {
-        return {
-          content: [
-            { type: "text", text: `❌ Path does not exist: ${repoPath}` },
-          ],
-        };
+      if (usedBy.length > 0 && !force) {
+        return toolError(
+          "IDE_IN_USE",
+          `IDE '${key}' is still preferred by: ${usedBy.join(
+            ", "
+          )}. Pass force to remove it anyway.`,
+          { usedBy }
+        );
       }
 
-      let targetIde = ide;
+      delete customEditors[key];
+      saveCustomEditors(customEditors);
+      refreshIdeTools();
 
-      // If no IDE specified, check for preference
-      if (!targetIde) {
-        const preferred =
-          typeof repoData === "string" ? undefined : repoData.ide;
-        if (preferred) {
-          targetIde = preferred;
-        } else {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `❌ No IDE specified and no preferred IDE set for '${name}'. Use 'om ide ${name} <ide>' to set a default.`,
-              },
-            ],
-          };
-        }
-      }
-
-      const ideNames = IDE_CONFIG;
-
-      // Open in the specified IDE
-      switch (targetIde) {
-        case "vs":
-          openVS(repoPath);
-          break;
-        case "ws":
-          openWS(repoPath);
-          break;
-        case "cs":
-          openCS(repoPath);
-          break;
-        case "ij":
-          openIJ(repoPath);
-          break;
-        case "pc":
-          openPC(repoPath);
-          break;
-        case "ag":
-          openAG(repoPath);
-          break;
+      let output = BUILTIN_EDITORS[key]
+        ? `✅ Removed override for built-in IDE '${key}'`
+        : `✅ Removed IDE '${key}'`;
+      if (usedBy.length > 0) {
+        output += `\n⚠️ Still preferred by: ${usedBy.join(", ")}`;
       }
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `🚀 Opening '${name}' in ${ideNames[targetIde]}...\nPath: ${repoPath}`,
-          },
-        ],
-      };
+      return toolResult(output, { key, usedBy });
     } catch (error) {
-      return {
-        content: [{ type: "text", text: `❌ Error: ${error.message}` }],
-      };
+      return errorResult(error);
     }
   }
 );
 
-// Open collection in IDE
-server.tool(
-  "open-collection",
-  "Open all repositories in a collection in a specific IDE using openmate-mcp or om-mcp",
-  {
-    name: z.string().min(1).describe("The name of the collection to open"),
-    ide: z
-      .enum(IDE_ENUMS)
-      .optional()
-      .describe(
-        `IDE to open in: ${Object.entries(IDE_CONFIG)
-          .map(([k, v]) => `${k} (${v})`)
-          .join(", ")}`
-      ),
+// Change journal output
+const journalChangeSchema = z.object({
+  section: z.string(),
+  key: z.string().nullable(),
+  before: z.unknown(),
+  after: z.unknown(),
+});
+
+const journalEntrySchema = z.object({
+  id: z.number(),
+  at: z.string(),
+  tool: z.string(),
+  client: z.string().nullable(),
+  undoes: z.number().nullable(),
+  undone: z.boolean(),
+  changes: z.array(journalChangeSchema),
+});
+
+function journalEntry(entry, undone) {
+  return {
+    id: entry.id,
+    at: entry.at,
+    tool: entry.tool,
+    client: entry.client || null,
+    undoes: entry.undoes || null,
+    undone: undone.has(entry.id),
+    changes: entry.changes,
+  };
+}
+
+function describeChange({ section, key, before, after }) {
+  const target = key === null ? section : `${section}/${key}`;
+  if (before === null) return `added ${target}`;
+  if (after === null) return `removed ${target}`;
+  return `changed ${target}`;
+}
+
+// Show the change journal
+defineTool(
+  "history",
+  {
+    description:
+      "Show recent changes made to the OpenMate store through openmate-mcp or om-mcp, newest first",
+    inputSchema: {
+      limit: z
+        .number()
+        .int()
+        .min(1)
+        .max(200)
+        .optional()
+        .default(20)
+        .describe("Maximum number of changes to show"),
+    },
+    outputSchema: { entries: z.array(journalEntrySchema) },
   },
-  async ({ name, ide }) => {
+  async ({ limit = 20 }) => {
     try {
-      const store = loadStore();
-      const normalized = normalizeName(name);
-      const collection = store.collections[normalized];
+      const journal = readJournal();
+      const undone = new Set(journal.map((e) => e.undoes).filter(Boolean));
+      const entries = journal
+        .slice(-limit)
+        .reverse()
+        .map((entry) => journalEntry(entry, undone));
 
-      if (!collection) {
-        return {
-          content: [
-            { type: "text", text: `❌ Collection '${name}' not found` },
-          ],
-        };
+      if (entries.length === 0) {
+        return toolResult("📭 No changes recorded yet.", { entries });
       }
 
-      const repos = collection.repos || [];
-      if (repos.length === 0) {
-        return {
-          content: [{ type: "text", text: `❌ Collection '${name}' is empty` }],
-        };
-      }
+      let output = "📜 Recent changes:\n";
+      entries.forEach(({ id, at, tool, client, undoes, changes }) => {
+        const clientStr = client ? ` by ${client}` : "";
+        const undoneStr = undone.has(id) ? " [undone]" : "";
+        const undoesStr = undoes ? ` (undoes #${undoes})` : "";
+        output += `  #${id} ${at} ${tool}${clientStr}${undoesStr}${undoneStr}: ${changes
+          .map(describeChange)
+          .join(", ")}\n`;
+      });
 
-      let targetIde = ide;
+      return toolResult(output.trimEnd(), { entries });
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
 
-      // If no IDE specified, check for preference
-      if (!targetIde) {
-        if (collection.ide) {
-          targetIde = collection.ide;
-        } else {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `❌ No IDE specified and no preferred IDE set for collection '${name}'. Use 'om ide ${name} <ide>' to set a default.`,
-              },
-            ],
-          };
-        }
-      }
-
-      const ideNames = IDE_CONFIG;
-
-      let output = `🚀 Opening collection '${name}' (${repos.length} repos) in ${ideNames[targetIde]}:\n\n`;
-      let openedCount = 0;
-
-      for (const repoName of repos) {
-        const repoData = store.repos[repoName];
-        if (repoData) {
-          const repoPath =
-            typeof repoData === "string" ? repoData : repoData.path;
-
-          if (fs.existsSync(repoPath)) {
-            output += `✅ ${repoName} -> ${repoPath}\n`;
-
-            // Open in the specified IDE
-            switch (targetIde) {
-              case "vs":
-                openVS(repoPath);
-                break;
-              case "ws":
-                openWS(repoPath);
-                break;
-              case "cs":
-                openCS(repoPath);
-                break;
-              case "ij":
-                openIJ(repoPath);
-                break;
-              case "pc":
-                openPC(repoPath);
-                break;
-              case "ag":
-                openAG(repoPath);
-                break;
-            }
-            openedCount++;
-          } else {
-            output += `❌ ${repoName} -> Path not found: ${repoPath}\n`;
-          }
-        } else {
-          output += `❌ ${repoName} -> Repository not found in store\n`;
+// Undo the most recent change
+defineTool(
+  "undo-last-change",
+  {
+    description:
+      "Undo the most recent change made to the OpenMate store through openmate-mcp or om-mcp (see history). Refuses if the affected entries have been modified since.",
+    inputSchema: {
+      id: z
+        .number()
+        .int()
+        .optional()
+        .describe(
+          "Optional: Only undo if the most recent change has this journal id"
+        ),
+    },
+    outputSchema: { undone: journalEntrySchema },
+  },
+  async ({ id }) => {
+    try {
+      const journal = { tool: "undo-last-change" };
+      return await updateStore(journal, (store) => {
+        const target = lastUndoableEntry(readJournal());
+        if (!target) {
+          return toolError("NOTHING_TO_UNDO", "There are no changes to undo");
+        }
+        if (id !== undefined && target.id !== id) {
+          return toolError(
+            "UNDO_CONFLICT",
+            `The most recent change is #${target.id} (${target.tool}), not #${id}`,
+            { latest: target.id }
+          );
+        }
+
+        const modified = target.changes.filter(
+          (change) =>
+            JSON.stringify(journalValue(store, change)) !==
+            JSON.stringify(change.after)
+        );
+        if (modified.length > 0) {
+          const targets = modified.map(({ section, key }) =>
+            key === null ? section : `${section}/${key}`
+          );
+          return toolError(
+            "UNDO_CONFLICT",
+            `Cannot undo #${target.id} (${
+              target.tool
+            }): modified since by another writer: ${targets.join(", ")}`,
+            { modified: targets }
+          );
         }
-      }
 
-      output += `\nOpened ${openedCount} of ${repos.length} repositories.`;
+        for (const change of target.changes) {
+          setJournalValue(store, change, change.before);
+        }
+        journal.undoes = target.id;
 
-      return {
-        content: [{ type: "text", text: output }],
-      };
+        return toolResult(
+          `↩️ Undid #${target.id} (${target.tool}): ${target.changes
+            .map(describeChange)
+            .join(", ")}`,
+          { undone: journalEntry(target, new Set([target.id])) }
+        );
+      });
     } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// Resources
+const RESOURCE_SCHEME = "openmate:";
+
+function repoResource(store, key) {
+  const repoData = store.repos[key];
+  if (!repoData) return null;
+  return {
+    ...repoData,
+    name: key,
+    collections: Object.entries(store.collections)
+      .filter(([, collection]) => collection.repos.includes(key))
+      .map(([collectionKey]) => collectionKey),
+  };
+}
+
+function collectionResource(store, key) {
+  const collection = store.collections[key];
+  if (!collection) return null;
+  return {
+    ...collection,
+    key,
+    name: collection.name || key,
+    repos: collection.repos.map((repoName) => {
+      const repoData = store.repos[repoName];
+      if (!repoData) return { name: repoName, path: null };
       return {
-        content: [{ type: "text", text: `❌ Error: ${error.message}` }],
+        name: repoName,
+        path: repoData.path,
       };
-    }
+    }),
+  };
+}
+
+function jsonResource(uri, data) {
+  return {
+    contents: [
+      {
+        uri: uri.href,
+        mimeType: "application/json",
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+  };
+}
+
+// Snapshot of every resource's content keyed by URI, used to diff store changes
+function resourceSnapshot(store) {
+  const snapshot = new Map();
+  snapshot.set(
+    `${RESOURCE_SCHEME}//repos`,
+    JSON.stringify(Object.keys(store.repos).map((k) => repoResource(store, k)))
+  );
+  snapshot.set(
+    `${RESOURCE_SCHEME}//collections`,
+    JSON.stringify(
+      Object.keys(store.collections).map((k) => collectionResource(store, k))
+    )
+  );
+  for (const key of Object.keys(store.repos)) {
+    snapshot.set(
+      `${RESOURCE_SCHEME}//repos/${encodeURIComponent(key)}`,
+      JSON.stringify(repoResource(store, key))
+    );
+  }
+  for (const key of Object.keys(store.collections)) {
+    snapshot.set(
+      `${RESOURCE_SCHEME}//collections/${encodeURIComponent(key)}`,
+      JSON.stringify(collectionResource(store, key))
+    );
+  }
+  return snapshot;
+}
+
+defineResource(
+  "repos",
+  `${RESOURCE_SCHEME}//repos`,
+  {
+    title: "Repositories",
+    description: "All repositories registered in OpenMate",
+    mimeType: "application/json",
+  },
+  async (uri) => {
+    const store = loadStore();
+    return jsonResource(
+      uri,
+      Object.keys(store.repos).map((key) => repoResource(store, key))
+    );
   }
 );
 
-// Set preferred IDE
-server.tool(
-  "set-ide",
-  "Set a preferred IDE for a repository or collection",
+defineResource(
+  "collections",
+  `${RESOURCE_SCHEME}//collections`,
   {
-    name: z
-      .string()
-      .optional()
-      .describe("Optional: The name of the repository or collection"),
-    ide: z.enum(IDE_ENUMS).describe(`Preferred IDE: ${IDE_ENUMS.join(", ")}`),
+    title: "Collections",
+    description: "All collections registered in OpenMate",
+    mimeType: "application/json",
   },
-  async ({ name, ide }) => {
-    try {
+  async (uri) => {
+    const store = loadStore();
+    return jsonResource(
+      uri,
+      Object.keys(store.collections).map((key) =>
+        collectionResource(store, key)
+      )
+    );
+  }
+);
+
+defineResource(
+  "repo",
+  new ResourceTemplate(`${RESOURCE_SCHEME}//repos/{name}`, {
+    list: async () => {
+      const store = loadStore();
+      return {
+        resources: Object.entries(store.repos).map(([key, repoData]) => ({
+          uri: `${RESOURCE_SCHEME}//repos/${encodeURIComponent(key)}`,
+          name: key,
+          description: repoData.path,
+        })),
+      };
+    },
+    complete: {
+      name: (value) =>
+        Object.keys(loadStore().repos).filter((key) =>
+          key.startsWith(normalizeName(value))
+        ),
+    },
+  }),
+  {
+    title: "Repository",
+    description: "A repository registered in OpenMate",
+    mimeType: "application/json",
+  },
+  async (uri, { name }) => {
+    const store = loadStore();
+    const repo = repoResource(store, normalizeName(decodeURIComponent(name)));
+    if (!repo) throw new Error(`Repository '${name}' not found`);
+    return jsonResource(uri, repo);
+  }
+);
+
+defineResource(
+  "collection",
+  new ResourceTemplate(`${RESOURCE_SCHEME}//collections/{name}`, {
+    list: async () => {
       const store = loadStore();
+      return {
+        resources: Object.entries(store.collections).map(
+          ([key, collection]) => ({
+            uri: `${RESOURCE_SCHEME}//collections/${encodeURIComponent(key)}`,
+            name: collection.name || key,
+            description: `${collection.repos.length} repos`,
+          })
+        ),
+      };
+    },
+    complete: {
+      name: (value) =>
+        Object.keys(loadStore().collections).filter((key) =>
+          key.startsWith(normalizeName(value))
+        ),
+    },
+  }),
+  {
+    title: "Collection",
+    description: "A collection of repositories registered in OpenMate",
+    mimeType: "application/json",
+  },
+  async (uri, { name }) => {
+    const store = loadStore();
+    const collection = collectionResource(
+      store,
+      normalizeName(decodeURIComponent(name))
+    );
+    if (!collection) throw new Error(`Collection '${name}' not found`);
+    return jsonResource(uri, collection);
+  }
+);
 
-      const ideNames = IDE_CONFIG;
+// Watch the store (also written by the OpenMate CLI and UI) and notify clients
+function watchStore() {
+  ensureStore();
+  let previous = resourceSnapshot(loadStore());
+  let timer = null;
+  let editorsTimer = null;
 
-      if (!name) {
-        store.ide_default = ide;
-        saveStore(store);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `✅ Set global default IDE to ${ideNames[ide]}`,
-            },
-          ],
-        };
+  const onChange = () => {
+    let store;
+    try {
+      store = loadStore();
+    } catch (e) {
+      return;
+    }
+    try {
+      syncWorkspaces(store);
+    } catch (e) {
+      console.error(`Failed to update workspace files: ${e.message}`);
+    }
+    const current = resourceSnapshot(store);
+
+    const listChanged =
+      previous.size !== current.size ||
+      [...current.keys()].some((uri) => !previous.has(uri));
+    for (const { server, subscribedUris } of sessions) {
+      if (listChanged) server.sendResourceListChanged();
+      for (const uri of subscribedUris) {
+        if (previous.get(uri) !== current.get(uri)) {
+          server.server.sendResourceUpdated({ uri }).catch(() => {});
+        }
       }
+    }
+    previous = current;
+  };
+
+  // Watch the directory so atomic replace-by-rename writes are picked up too
+  const watcher = fs.watch(STORE_DIR, (eventType, filename) => {
+    if (filename === path.basename(EDITORS_FILE)) {
+      clearTimeout(editorsTimer);
+      editorsTimer = setTimeout(refreshIdeTools, 100);
+      return;
+    }
+    if (filename && filename !== path.basename(STORE_FILE)) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, 100);
+  });
+  watcher.on("error", (e) =>
+    console.error(`Store watcher stopped: ${e.message}`)
+  );
+  watcher.unref();
+  return watcher;
+}
 
-      const normalized = normalizeName(name);
-      let found = false;
+// Command-line options
+const USAGE = `Usage:
+  openmate-mcp                                  Serve MCP over stdio
+  openmate-mcp --http [--port <port>] [--host <host>]
+                                                Serve MCP over HTTP
+  openmate-mcp tools [--json]                   List the tools
+  openmate-mcp call <tool> [<json>] [--<param> <value> ...] [--json]
+                                                Call a tool and print its result`;
 
-      // Check repos
-      if (store.repos[normalized]) {
-        let repoData = store.repos[normalized];
-        // Convert string legacy format to object if needed
-        if (typeof repoData === "string") {
-          repoData = { path: repoData, addedAt: new Date().toISOString() };
+function usageError(message) {
+  return Object.assign(new Error(`${message}\n\n${USAGE}`), { exitCode: 2 });
+}
+
+function parseArgs(argv) {
+  const options = {
+    http: false,
+    host: DEFAULT_HTTP_HOST,
+    port: DEFAULT_HTTP_PORT,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = () => {
+      const next = inline !== undefined ? inline : argv[++i];
+      if (next === undefined) throw usageError(`${flag} needs a value`);
+      return next;
+    };
+    switch (flag) {
+      case "--http":
+        options.http = true;
+        break;
+      case "--host":
+        options.host = value();
+        break;
+      case "--port": {
+        const port = Number(value());
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+          throw usageError(`Invalid port: ${argv[i]}`);
         }
-        repoData.ide = ide;
-        store.repos[normalized] = repoData;
-        found = true;
+        options.port = port;
+        break;
       }
+      default:
+        throw usageError(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+}
 
-      // Check collections
-      if (store.collections[normalized]) {
-        store.collections[normalized].ide = ide;
-        found = true;
-      }
+// HTTP mode
+function loadHttpToken() {
+  ensureStore();
+  try {
+    const token = fs.readFileSync(HTTP_TOKEN_FILE, "utf8").trim();
+    if (token) return token;
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  const token = crypto.randomBytes(32).toString("hex");
+  try {
+    fs.writeFileSync(HTTP_TOKEN_FILE, `${token}\n`, {
+      mode: 0o600,
+      flag: "wx",
+    });
+  } catch (e) {
+    // Another server generated one first
+    if (e.code === "EEXIST") return loadHttpToken();
+    throw e;
+  }
+  return token;
+}
 
-      if (!found) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `❌ No repository or collection found with name '${name}'`,
-            },
-          ],
-        };
+function hasValidToken(req, token) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  if (!match) return false;
+  // Compare digests so the comparison takes the same time for any input
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+function isLoopbackHost(host) {
+  return ["127.0.0.1", "localhost", "::1"].includes(host);
+}
+
+function sendHttpError(res, status, message) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({
+      jsonrpc: "2.0",
+      error: { code: -32000, message },
+      id: null,
+    })
+  );
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_HTTP_BODY_BYTES) {
+        reject(
+          Object.assign(new Error("Request body too large"), { status: 413 })
+        );
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (e) {
+        reject(Object.assign(new Error("Invalid JSON body"), { status: 400 }));
       }
+    });
+    req.on("error", reject);
+  });
+}
 
-      saveStore(store);
+/**
+ * Serve the tools over Streamable HTTP at HTTP_PATH. Every request needs the
+ * bearer token from HTTP_TOKEN_FILE; each initialize request starts a new
+ * session with its own McpServer. On a loopback host, requests whose Host
+ * header names another host are rejected to stop DNS rebinding.
+ */
+async function startHttpServer({ host, port }) {
+  const token = loadHttpToken();
+  const transports = new Map();
+  const allowedHosts = isLoopbackHost(host)
+    ? ["127.0.0.1", "localhost", "[::1]"].map((name) => `${name}:${port}`)
+    : undefined;
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `✅ Set preferred IDE for '${name}' to ${ideNames[ide]}`,
-          },
-        ],
+  const handleRequest = async (req, res) => {
+    if (new URL(req.url, "http://localhost").pathname !== HTTP_PATH) {
+      return sendHttpError(res, 404, "Not found");
+    }
+    if (!hasValidToken(req, token)) {
+      res.setHeader("WWW-Authenticate", "Bearer");
+      return sendHttpError(res, 401, "Missing or invalid bearer token");
+    }
+
+    let body;
+    if (req.method === "POST") {
+      try {
+        body = await readJsonBody(req);
+      } catch (e) {
+        return sendHttpError(res, e.status || 400, e.message);
+      }
+    }
+
+    const sessionId = req.headers["mcp-session-id"];
+    let transport = sessionId && transports.get(sessionId);
+    if (sessionId && !transport) {
+      return sendHttpError(res, 404, "Session not found");
+    }
+    if (!transport) {
+      if (req.method !== "POST" || !isInitializeRequest(body)) {
+        return sendHttpError(
+          res,
+          400,
+          "No session: send an initialize request first"
+        );
+      }
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (id) => transports.set(id, transport),
+        enableDnsRebindingProtection: Boolean(allowedHosts),
+        allowedHosts,
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) transports.delete(transport.sessionId);
       };
+      await createServer().connect(transport);
+      await transport.handleRequest(req, res, body);
+      // Drop the server again if the initialize request was rejected
+      if (!transport.sessionId) await transport.close();
+      return;
+    }
+    await transport.handleRequest(req, res, body);
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      console.error(`HTTP request failed: ${error.message}`);
+      if (!res.headersSent) sendHttpError(res, 500, "Internal server error");
+    });
+  });
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  const shutdown = async () => {
+    for (const transport of transports.values()) {
+      await transport.close().catch(() => {});
+    }
+    httpServer.close(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  const displayHost = host.includes(":") ? `[${host}]` : host;
+  console.error(
+    `OpenMate MCP Server running on http://${displayHost}:${port}${HTTP_PATH}`
+  );
+  console.error(`Bearer token: ${HTTP_TOKEN_FILE}`);
+  if (!isLoopbackHost(host)) {
+    console.error(
+      `⚠️ Listening on ${host}: anyone who can reach it and has the token can open IDEs and run allowed commands`
+    );
+  }
+}
+
+// Command-line mode. Tools are called through an in-process MCP client, so
+// they validate and behave exactly as they do for any other client.
+
+// Tools bound their own git and command runs with timeoutMs, and a collection
+// can take many of those in turn, so calls from the command line are not cut
+// off by the SDK's 60 second request timeout (the largest setTimeout delay)
+const CLI_REQUEST_TIMEOUT_MS = 2 ** 31 - 1;
+
+async function connectCliClient() {
+  const [clientTransport, serverTransport] =
+    InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  const client = new Client({ name: "openmate-mcp-cli", version: pkg.version });
+  await client.connect(clientTransport);
+  return client;
+}
+
+// Flag values are parsed as JSON (numbers, booleans, arrays) unless the
+// parameter is a string. A boolean flag without a value means true.
+function parseToolArgs(tool, argv) {
+  const properties = tool.inputSchema.properties || {};
+  const args = {};
+  let i = 0;
+  if (argv[0] !== undefined && !argv[0].startsWith("--")) {
+    let parsed;
+    try {
+      parsed = JSON.parse(argv[0]);
+    } catch (e) {
+      parsed = null;
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw usageError(`Arguments must be a JSON object: ${argv[0]}`);
+    }
+    Object.assign(args, parsed);
+    i = 1;
+  }
+  for (; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    if (!flag.startsWith("--")) {
+      throw usageError(`Unexpected argument: ${argv[i]}`);
+    }
+    const key = flag.slice(2);
+    const property = properties[key];
+    if (!property) {
+      throw usageError(
+        `Unknown parameter for ${tool.name}: ${flag}. Parameters: ${
+          Object.keys(properties).join(", ") || "none"
+        }`
+      );
+    }
+    let value = inline;
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (
+        property.type === "boolean" &&
+        (next === undefined || !["true", "false"].includes(next))
+      ) {
+        value = "true";
+      } else if (next === undefined) {
+        throw usageError(`${flag} needs a value`);
+      } else {
+        value = next;
+        i++;
+      }
+    }
+    if (property.type === "string") {
+      args[key] = value;
+    } else {
+      try {
+        args[key] = JSON.parse(value);
+      } catch (e) {
+        args[key] = value;
+      }
+    }
+  }
+  return args;
+}
+
+/**
+ * Run `tools` or `call` and print the result: text by default, structured
+ * content with --json. Resolves to the exit code: 0 on success, 1 when the
+ * tool returned an error.
+ */
+async function runCli(command, argv) {
+  const json = argv.includes("--json");
+  argv = argv.filter((arg) => arg !== "--json");
+
+  const client = await connectCliClient();
+  try {
+    const { tools } = await client.listTools();
+
+    if (command === "tools") {
+      if (argv.length > 0) throw usageError(`Unexpected argument: ${argv[0]}`);
+      console.log(
+        json
+          ? JSON.stringify(tools, null, 2)
+          : tools.map((tool) => `${tool.name}: ${tool.description}`).join("\n")
+      );
+      return 0;
+    }
+
+    const [name, ...rest] = argv;
+    if (!name) throw usageError("Missing tool name");
+    const tool = tools.find((candidate) => candidate.name === name);
+    if (!tool) {
+      throw usageError(
+        `Unknown tool: ${name}. Run 'openmate-mcp tools' to list them.`
+      );
+    }
+
+    let result;
+    try {
+      result = await client.callTool(
+        { name, arguments: parseToolArgs(tool, rest) },
+        undefined,
+        { timeout: CLI_REQUEST_TIMEOUT_MS }
+      );
     } catch (error) {
-      return {
-        content: [{ type: "text", text: `❌ Error: ${error.message}` }],
-      };
+      // Arguments that do not match the tool's input schema
+      if (error.code === ErrorCode.InvalidParams) {
+        throw usageError(error.message);
+      }
+      if (error instanceof McpError) {
+        throw Object.assign(new Error(`❌ ${error.message}`), { exitCode: 1 });
+      }
+      throw error;
+    }
+    const text = result.content
+      .filter((item) => item.type === "text")
+      .map((item) => item.text)
+      .join("\n");
+    if (json) {
+      const error =
+        result._meta && result._meta.error
+          ? result._meta.error
+          : { code: null, message: text };
+      console.log(
+        JSON.stringify(
+          result.isError ? { error } : result.structuredContent || { text },
+          null,
+          2
+        )
+      );
+    } else if (result.isError) {
+      console.error(text);
+    } else {
+      console.log(text);
     }
+    return result.isError ? 1 : 0;
+  } finally {
+    await client.close();
   }
-);
+}
 
 // Main function
 async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (command === "tools" || command === "call") {
+    process.exitCode = await runCli(command, rest);
+    return;
+  }
+  if (command === "help" || command === "--help" || command === "-h") {
+    console.log(USAGE);
+    return;
+  }
+
+  const options = parseArgs(process.argv.slice(2));
+  if (options.http) {
+    await startHttpServer(options);
+    watchStore();
+    return;
+  }
+
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createServer().connect(transport);
+  watchStore();
   console.error("OpenMate MCP Server running on stdio");
 }
 
 main().catch((error) => {
+  if (error.exitCode) {
+    console.error(error.message);
+    process.exit(error.exitCode);
+  }
   console.error("Fatal error:", error);
   process.exit(1);
 });
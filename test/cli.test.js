@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+
+// End-to-end checks for the command line: every tool is called through
+// `openmate-mcp call … --json` with HOME pointing at a temporary directory,
+// so the real ~/.openmate is never read or written.
+
+import assert from "node:assert/strict";
+import { spawn, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SERVER = fileURLToPath(new URL("../bin/server.js", import.meta.url));
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), "openmate-test-"));
+const ENV = {
+  ...process.env,
+  HOME,
+  USERPROFILE: HOME,
+  GIT_CONFIG_NOSYSTEM: "1",
+  GIT_AUTHOR_NAME: "OpenMate Test",
+  GIT_AUTHOR_EMAIL: "test@openmate.invalid",
+  GIT_COMMITTER_NAME: "OpenMate Test",
+  GIT_COMMITTER_EMAIL: "test@openmate.invalid",
+};
+
+// Helpers
+
+// An environment with its own HOME, for tests that need a store of their own
+function isolatedEnv(name) {
+  const home = path.join(HOME, "homes", name);
+  fs.mkdirSync(home, { recursive: true });
+  return { ...ENV, HOME: home, USERPROFILE: home };
+}
+
+const storeFile = (env = ENV) => path.join(env.HOME, ".openmate", "repos.json");
+
+function readStore(env) {
+  return JSON.parse(fs.readFileSync(storeFile(env), "utf8"));
+}
+
+function writeStore(data, env) {
+  fs.mkdirSync(path.dirname(storeFile(env)), { recursive: true });
+  fs.writeFileSync(storeFile(env), JSON.stringify(data, null, 2));
+}
+
+function parseOutput(tool, { status, stdout, stderr }) {
+  try {
+    return { status, output: JSON.parse(stdout) };
+  } catch {
+    throw new Error(
+      `${tool} printed no JSON (exit ${status}):\n${stdout}${stderr}`
+    );
+  }
+}
+
+function call(tool, params = {}, env = ENV) {
+  const result = spawnSync(
+    process.execPath,
+    [SERVER, "call", tool, JSON.stringify(params), "--json"],
+    { env, encoding: "utf8", timeout: 60000 }
+  );
+  if (result.error) throw result.error;
+  return parseOutput(tool, result);
+}
+
+// Like call, without waiting, so several processes can race on the store
+function callAsync(tool, params = {}, env = ENV) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(
+      process.execPath,
+      [SERVER, "call", tool, JSON.stringify(params), "--json"],
+      { env }
+    );
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", reject);
+    child.on("close", (status) =>
+      resolve(parseOutput(tool, { status, stdout, stderr }))
+    );
+  });
+}
+
+function ok(tool, params, env) {
+  const { status, output } = call(tool, params, env);
+  assert.equal(status, 0, `${tool} failed: ${JSON.stringify(output)}`);
+  return output;
+}
+
+function fails(tool, params, code, env) {
+  const { status, output } = call(tool, params, env);
+  assert.equal(status, 1, `${tool} should fail: ${JSON.stringify(output)}`);
+  assert.equal(output.error.code, code);
+  return output.error;
+}
+
+function git(cwd, ...args) {
+  const result = spawnSync("git", args, {
+    cwd,
+    env: ENV,
+    encoding: "utf8",
+    timeout: 60000,
+  });
+  assert.equal(result.status, 0, `git ${args.join(" ")}: ${result.stderr}`);
+  return result.stdout.trim();
+}
+
+function makeRepo(name, parent = path.join(HOME, "repos")) {
+  const dir = path.join(parent, name);
+  fs.mkdirSync(dir, { recursive: true });
+  git(dir, "init", "-q");
+  return dir;
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// Tests
+
+test("add-repo registers a repository", () => {
+  const repoPath = makeRepo("alpha");
+  const repo = ok("add-repo", { name: "alpha", path: repoPath });
+  assert.equal(repo.name, "alpha");
+  assert.equal(repo.path, repoPath);
+
+  const { repos } = ok("list-repos");
+  assert.deepEqual(
+    repos.map(({ name }) => name),
+    ["alpha"]
+  );
+
+  const duplicate = call("add-repo", { name: "alpha", path: repoPath });
+  assert.equal(duplicate.status, 1);
+  assert.ok(duplicate.output.error, "adding a repository twice must fail");
+});
+
+test("undo-last-change reverts add-repo", () => {
+  const repoPath = makeRepo("beta");
+  ok("add-repo", { name: "beta", path: repoPath });
+
+  const { undone } = ok("undo-last-change");
+  assert.equal(undone.tool, "add-repo");
+  assert.equal(undone.changes[0].key, "beta");
+
+  const { repos } = ok("list-repos");
+  assert.ok(!repos.some(({ name }) => name === "beta"));
+  assert.ok(repos.some(({ name }) => name === "alpha"));
+});
+
+test("open-repo --dryRun plans the launch without opening", () => {
+  const result = ok("open-repo", { name: "alpha", ide: "vs", dryRun: true });
+  assert.equal(result.dryRun, true);
+  assert.equal(result.ide, "vs");
+  assert.equal(result.command, null);
+  assert.ok(result.plan.length > 0);
+  assert.ok(
+    result.plan.every(({ args }) => args.includes(result.path)),
+    "every planned command must receive the repository path"
+  );
+});
+
+test("clone-repo and sync-collection work against a local bare repository", () => {
+  const origin = path.join(HOME, "origin.git");
+  const seed = path.join(HOME, "seed");
+  git(HOME, "init", "-q", "--bare", origin);
+  git(HOME, "clone", "-q", origin, seed);
+  fs.writeFileSync(path.join(seed, "README.md"), "# shared\n");
+  git(seed, "add", "README.md");
+  git(seed, "commit", "-q", "-m", "first");
+  git(seed, "push", "-q", "origin", "HEAD");
+
+  const destination = path.join(HOME, "clones", "shared");
+  const cloned = ok("clone-repo", { url: origin, destination, name: "shared" });
+  assert.equal(cloned.name, "shared");
+  assert.equal(cloned.path, destination);
+  assert.ok(fs.existsSync(path.join(destination, ".git")));
+
+  ok("add-collection", { name: "team", repos: "shared" });
+
+  git(seed, "commit", "-q", "--allow-empty", "-m", "second");
+  git(seed, "push", "-q", "origin", "HEAD");
+  const head = git(seed, "rev-parse", "HEAD");
+
+  const fetched = ok("sync-collection", { name: "team", mode: "fetch" });
+  assert.equal(fetched.results[0].status, "updated");
+  assert.equal(fetched.results[0].to, head);
+  assert.equal(git(destination, "rev-parse", "@{upstream}"), head);
+  assert.notEqual(git(destination, "rev-parse", "HEAD"), head);
+
+  const pulled = ok("sync-collection", { name: "team", mode: "pull" });
+  assert.equal(pulled.updated, 1);
+  assert.equal(pulled.results[0].status, "updated");
+  assert.equal(pulled.results[0].to, head);
+  assert.equal(git(destination, "rev-parse", "HEAD"), head);
+
+  fs.appendFileSync(path.join(destination, "README.md"), "uncommitted\n");
+  const dirty = ok("sync-collection", { name: "team", mode: "fetch" });
+  assert.equal(dirty.results[0].status, "skipped");
+  assert.equal(dirty.results[0].reason, "dirty");
+});
+
+test("a corrupt store is read from the newest backup and replaced on write", () => {
+  const env = isolatedEnv("corrupt");
+  const repoPath = makeRepo("kept");
+  ok("add-repo", { name: "kept", path: repoPath }, env);
+
+  fs.writeFileSync(storeFile(env), "{ not json");
+  const { repos } = ok("list-repos", {}, env);
+  assert.deepEqual(
+    repos.map(({ name }) => name),
+    ["kept"]
+  );
+  assert.equal(
+    fs.readFileSync(storeFile(env), "utf8"),
+    "{ not json",
+    "reads must leave the corrupt file alone"
+  );
+
+  ok("add-repo", { name: "added", path: makeRepo("added") }, env);
+  assert.deepEqual(Object.keys(readStore(env).repos).sort(), ["added", "kept"]);
+  const moved = fs
+    .readdirSync(path.dirname(storeFile(env)))
+    .filter((file) => file.startsWith("repos.json.corrupt-"));
+  assert.equal(moved.length, 1, "the corrupt file must be kept aside");
+});
+
+test("a version 2 store is migrated by the first write, not by reads", () => {
+  const env = isolatedEnv("migrate");
+  const legacyPath = makeRepo("legacy");
+  const legacy = {
+    version: 2,
+    repos: { legacy: legacyPath },
+    collections: { old: ["legacy"] },
+  };
+  writeStore(legacy, env);
+
+  const { repos, collections } = ok("list-repos", {}, env);
+  assert.equal(repos[0].path, legacyPath);
+  assert.deepEqual(collections[0].repos, ["legacy"]);
+  assert.deepEqual(readStore(env), legacy, "reads must not migrate the file");
+
+  ok("add-repo", { name: "fresh", path: makeRepo("fresh") }, env);
+  const store = readStore(env);
+  assert.equal(store.version, 3);
+  assert.equal(store.repos.legacy.path, legacyPath);
+  assert.deepEqual(store.collections.old.repos, ["legacy"]);
+});
+
+test("concurrent writers never lose each other's updates", async () => {
+  const env = isolatedEnv("concurrent");
+  const names = Array.from({ length: 8 }, (_, i) => `writer-${i}`);
+  const results = await Promise.all(
+    names.map((name) =>
+      callAsync("add-repo", { name, path: makeRepo(name) }, env)
+    )
+  );
+  results.forEach(({ status, output }) =>
+    assert.equal(status, 0, JSON.stringify(output))
+  );
+
+  assert.deepEqual(Object.keys(readStore(env).repos).sort(), names);
+  assert.ok(!fs.existsSync(`${storeFile(env)}.lock`), "the lock is released");
+});
+
+test("a lock left by a process that exited is taken over", () => {
+  const env = isolatedEnv("stale-lock");
+  const { pid } = spawnSync(process.execPath, ["-e", ""]);
+  fs.mkdirSync(path.dirname(storeFile(env)), { recursive: true });
+  fs.writeFileSync(
+    `${storeFile(env)}.lock`,
+    JSON.stringify({ pid, token: "gone", at: new Date().toISOString() })
+  );
+
+  ok("add-repo", { name: "after", path: makeRepo("after") }, env);
+  assert.ok(readStore(env).repos.after);
+  assert.ok(!fs.existsSync(`${storeFile(env)}.lock`), "the lock is released");
+});
+
+test("run-in-repo only runs commands that policy.allowedCommands lists", () => {
+  const env = isolatedEnv("commands");
+  ok("add-repo", { name: "runner", path: makeRepo("runner") }, env);
+
+  const refused = fails(
+    "run-in-repo",
+    { name: "runner", command: "git status" },
+    "COMMAND_NOT_ALLOWED",
+    env
+  );
+  assert.match(refused.message, /No commands are allowed/);
+
+  writeStore(
+    { ...readStore(env), policy: { allowedCommands: ["git status"] } },
+    env
+  );
+  const run = ok(
+    "run-in-repo",
+    { name: "runner", command: "git status --short" },
+    env
+  );
+  assert.equal(run.status, "ok");
+  assert.equal(run.exitCode, 0);
+
+  for (const command of ["git log", "git statusx", "git"]) {
+    fails(
+      "run-in-repo",
+      { name: "runner", command },
+      "COMMAND_NOT_ALLOWED",
+      env
+    );
+  }
+});
+
+test("policy.allowedRoots refuses repositories outside the roots", () => {
+  const env = isolatedEnv("roots");
+  const root = path.join(HOME, "allowed");
+  writeStore(
+    {
+      version: 3,
+      repos: {},
+      collections: {},
+      policy: { allowedRoots: [root] },
+    },
+    env
+  );
+
+  fails(
+    "add-repo",
+    { name: "outside", path: makeRepo("outside") },
+    "PATH_NOT_ALLOWED",
+    env
+  );
+  ok("add-repo", { name: "inside", path: makeRepo("inside", root) }, env);
+  // A name starting with two dots is still a child of the root
+  ok("add-repo", { name: "archive", path: makeRepo("..archive", root) }, env);
+  assert.deepEqual(Object.keys(readStore(env).repos).sort(), [
+    "archive",
+    "inside",
+  ]);
+});
+
+// Runner
+
+let failed = 0;
+try {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}\n${error.stack || error}`);
+    }
+  }
+} finally {
+  fs.rmSync(HOME, { recursive: true, force: true });
+}
+
+console.log(`\n${tests.length - failed}/${tests.length} passed`);
+process.exitCode = failed ? 1 : 0;